@@ -20,6 +20,8 @@ enum AppwriteConfig {
     // Collections
     static let manufacturersCollectionId = "manufacturers"
     static let wingsCollectionId = "wings"
+    static let catalogCollectionId = "catalog"
+    static let catalogVersionDocumentId = "current"
 
     // Storage
     static let wingImagesBucketId = "wing-images"
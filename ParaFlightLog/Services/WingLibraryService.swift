@@ -205,8 +205,11 @@ struct LibraryWing: Codable, Identifiable, Hashable {
     let imageFileId: String?
     let year: Int?
     let displayOrder: Int
+    /// Type and description per language code ("fr", "en"), missing from older catalogues
+    let typeLabels: [String: String]?
+    let descriptions: [String: String]?
 
-    init(id: String, manufacturer: String, model: String, fullName: String, type: String, sizes: [String], imageFileId: String?, year: Int?, displayOrder: Int = 0) {
+    init(id: String, manufacturer: String, model: String, fullName: String, type: String, sizes: [String], imageFileId: String?, year: Int?, displayOrder: Int = 0, typeLabels: [String: String]? = nil, descriptions: [String: String]? = nil) {
         self.id = id
         self.manufacturer = manufacturer
         self.model = model
@@ -216,6 +219,8 @@ struct LibraryWing: Codable, Identifiable, Hashable {
         self.imageFileId = imageFileId
         self.year = year
         self.displayOrder = displayOrder
+        self.typeLabels = typeLabels
+        self.descriptions = descriptions
     }
 
     /// Init from Appwrite document
@@ -236,6 +241,31 @@ struct LibraryWing: Codable, Identifiable, Hashable {
 
         self.imageFileId = document.data["imageFileId"]?.value as? String
         self.fullName = "\(manufacturerName) \(self.model)"
+
+        // Stored as JSON strings since Appwrite attributes can't hold objects
+        self.typeLabels = LibraryWing.decodeLocalizedTexts(document.data["typeLabels"]?.value as? String)
+        self.descriptions = LibraryWing.decodeLocalizedTexts(document.data["descriptions"]?.value as? String)
+    }
+
+    private static func decodeLocalizedTexts(_ json: String?) -> [String: String]? {
+        guard let data = json?.data(using: .utf8) else { return nil }
+        return try? JSONDecoder().decode([String: String].self, from: data)
+    }
+
+    /// Device language first, then French (the catalogue source language)
+    private static func localizedText(_ texts: [String: String]?) -> String? {
+        guard let texts else { return nil }
+        let languageCode = Locale.current.language.languageCode?.identifier ?? "fr"
+        return texts[languageCode] ?? texts["fr"]
+    }
+
+    /// Falls back to `type` for wings without translations
+    var localizedType: String {
+        LibraryWing.localizedText(typeLabels) ?? type
+    }
+
+    var localizedDescription: String? {
+        LibraryWing.localizedText(descriptions)
     }
 
     // For backward compatibility with existing code that uses imageUrl
@@ -297,6 +327,7 @@ final class WingLibraryService {
     // Cache
     private let catalogCacheKey = "wingLibraryCatalog"
     private let catalogCacheDateKey = "wingLibraryCatalogDate"
+    private let catalogCacheVersionKey = "wingLibraryCatalogVersion"
 
     // Thread-safe image cache (actor)
     private let wingImageCache: WingImageCache
@@ -322,7 +353,8 @@ final class WingLibraryService {
 
     // MARK: - Public API
 
-    /// Fetch the catalog from Appwrite (always tries network first for fresh data)
+    /// Fetch the catalog from Appwrite
+    /// Le web-admin publie une version du catalogue: le cache est gardé tant que son numéro de version est le dernier publié
     @MainActor
     func fetchCatalog(forceRefresh: Bool = false) async throws -> WingCatalog {
         isLoading = true
@@ -331,11 +363,17 @@ final class WingLibraryService {
 
         defer { isLoading = false }
 
-        // Always try network first to get fresh data
+        let publishedVersion = try? await fetchPublishedVersion()
+        if !forceRefresh, let cached = catalog, let publishedVersion,
+           UserDefaults.standard.object(forKey: catalogCacheVersionKey) as? Int == publishedVersion {
+            logInfo("Catalog version \(publishedVersion) unchanged, using cache", category: .wingLibrary)
+            return cached
+        }
+
         do {
             let newCatalog = try await fetchFromAppwrite()
             catalog = newCatalog
-            saveCatalogToCache(newCatalog)
+            saveCatalogToCache(newCatalog, version: publishedVersion)
             // Clear image cache when catalog is updated to get fresh images
             if forceRefresh {
                 await wingImageCache.clearAll()
@@ -408,6 +446,7 @@ final class WingLibraryService {
         catalog = nil
         UserDefaults.standard.removeObject(forKey: catalogCacheKey)
         UserDefaults.standard.removeObject(forKey: catalogCacheDateKey)
+        UserDefaults.standard.removeObject(forKey: catalogCacheVersionKey)
 
         // Clear image cache via actor (thread-safe)
         await wingImageCache.clearAll()
@@ -422,12 +461,25 @@ final class WingLibraryService {
 
     // MARK: - Private
 
+    /// Numéro de la dernière publication (document de version écrit par le bouton "Publier" du web-admin).
+    /// Sa date `publishedAt` vient de l'horloge du navigateur: elle sert à l'affichage, pas à la comparaison.
+    private func fetchPublishedVersion() async throws -> Int? {
+        let document = try await databases.getDocument<[String: AnyCodable]>(
+            databaseId: AppwriteConfig.databaseId,
+            collectionId: AppwriteConfig.catalogCollectionId,
+            documentId: AppwriteConfig.catalogVersionDocumentId
+        )
+        return document.data["version"]?.value as? Int
+    }
+
     private func fetchFromAppwrite() async throws -> WingCatalog {
+        // Only published documents: filtered by the server so web-admin drafts don't use up the pages
         // Fetch manufacturers
         let manufacturersResponse = try await databases.listDocuments<[String: AnyCodable]>(
             databaseId: AppwriteConfig.databaseId,
             collectionId: AppwriteConfig.manufacturersCollectionId,
             queries: [
+                Query.equal("published", value: true),
                 Query.orderAsc("displayOrder"),
                 Query.limit(100)
             ]
@@ -438,11 +490,13 @@ final class WingLibraryService {
         // Create a lookup dictionary for manufacturer names
         let manufacturerNames = Dictionary(uniqueKeysWithValues: manufacturers.map { ($0.id, $0.name) })
 
-        // Fetch wings
+        // Fetch wings (soft-deleted wings sit in the web-admin trash with deletedAt set)
         let wingsResponse = try await databases.listDocuments<[String: AnyCodable]>(
             databaseId: AppwriteConfig.databaseId,
             collectionId: AppwriteConfig.wingsCollectionId,
             queries: [
+                Query.equal("published", value: true),
+                Query.isNull("deletedAt"),
                 Query.orderAsc("displayOrder"),
                 Query.orderAsc("model"),
                 Query.limit(500)
@@ -477,13 +531,19 @@ final class WingLibraryService {
         }
     }
 
-    private func saveCatalogToCache(_ catalog: WingCatalog) {
+    /// Le numéro de version publié est gardé avec le cache pour savoir s'il est à jour
+    private func saveCatalogToCache(_ catalog: WingCatalog, version: Int? = nil) {
         do {
             let encoder = JSONEncoder()
             encoder.dateEncodingStrategy = .iso8601
             let data = try encoder.encode(catalog)
             UserDefaults.standard.set(data, forKey: catalogCacheKey)
             UserDefaults.standard.set(Date(), forKey: catalogCacheDateKey)
+            if let version {
+                UserDefaults.standard.set(version, forKey: catalogCacheVersionKey)
+            } else {
+                UserDefaults.standard.removeObject(forKey: catalogCacheVersionKey)
+            }
         } catch {
             logWarning("Failed to cache catalog: \(error.localizedDescription)", category: .wingLibrary)
         }
@@ -234,7 +234,7 @@ private struct WingRowView: View {
                             Text("•")
                                 .foregroundStyle(.secondary)
                         }
-                        Text(wing.type)
+                        Text(wing.localizedType)
                             .font(.caption)
                             .foregroundStyle(.secondary)
 
@@ -330,9 +330,17 @@ private struct SizeSelectionSheet: View {
                                 Text(brand)
                                 Text("•")
                             }
-                            Text(wing.type)
+                            Text(wing.localizedType)
                         }
                         .foregroundStyle(.secondary)
+
+                        if let description = wing.localizedDescription {
+                            Text(description)
+                                .font(.subheadline)
+                                .foregroundStyle(.secondary)
+                                .multilineTextAlignment(.center)
+                                .padding(.horizontal)
+                        }
                     }
 
                     // Size buttons
@@ -5,6 +5,48 @@ const DATABASE_ID = '69524e510015a312526b';
 const MANUFACTURERS_COLLECTION_ID = 'manufacturers';
 const WINGS_COLLECTION_ID = 'wings';
 const WING_IMAGES_BUCKET_ID = 'wing-images';
+const MANUFACTURER_LOGOS_BUCKET_ID = 'manufacturer-logos';
+const AUDIT_COLLECTION_ID = 'audit-log';
+const CATALOG_COLLECTION_ID = 'catalog';
+const CATALOG_VERSION_DOCUMENT_ID = 'current'; // bumped by "Publier", its `version` compared by the app with its cache
+const PAGE_SIZE = 100;
+const UNDO_WINDOW_MS = 8000;
+
+// Document attributes, as read by WingManufacturer / LibraryWing on iOS.
+// `gallery` is admin-only: a JSON string of [{ fileId, colourway, view }], primary first,
+// mirrored into `imageFileId` so the iOS decoder keeps working unchanged.
+// `sizeSpecs` is admin-only too: a JSON string of per-size technical data, `sizes` keeps the names.
+// `disciplines` and `certification` are the source of truth; `type` is derived from them for iOS.
+// `typeLabels` is that type per app language and `descriptions` the per-language description,
+// both JSON strings of { fr, en } that older app versions ignore.
+// The manufacturer profile (`logoFileId` in MANUFACTURER_LOGOS_BUCKET_ID, `country`, `website`,
+// `description` and the `defunct` boolean defaulting to false) is admin-only for now.
+const MANUFACTURER_FIELDS = ['name', 'displayOrder', 'logoFileId', 'country', 'website', 'defunct', 'description'];
+// `discontinued` is a boolean attribute defaulting to false.
+// Both collections also carry `published` (false until the first "Publier"; the app only lists
+// `published == true`, so "Publier" also sets it on documents created before the draft workflow)
+// and `draft` (JSON of the edits waiting to be published on a published document).
+const WING_FIELDS = ['manufacturerId', 'model', 'type', 'disciplines', 'certification', 'sizes', 'sizeSpecs', 'imageFileId', 'gallery', 'year', 'discontinued', 'displayOrder', 'typeLabels', 'descriptions'];
+
+// Roles come from Appwrite user labels first, then team membership.
+// Collection/bucket permissions must mirror these: the UI only hides actions.
+const ROLE_TEAMS = {
+    'catalogue-admins': 'admin',
+    'catalogue-editors': 'editor',
+    'catalogue-viewers': 'viewer'
+};
+const ROLE_PERMISSIONS = {
+    viewer: [],
+    editor: ['edit', 'reorder', 'import'],
+    admin: ['edit', 'reorder', 'import', 'delete', 'restore', 'publish']
+};
+// Accounts with neither a role label nor a role team, or whose teams cannot be listed
+const DEFAULT_ROLE = 'viewer';
+const ROLE_LABELS = {
+    viewer: { label: 'Lecteur', badge: 'bg-secondary' },
+    editor: { label: 'Éditeur', badge: 'bg-primary' },
+    admin: { label: 'Admin', badge: 'bg-danger' }
+};
 
 // Initialize Appwrite SDK
 const client = new Appwrite.Client();
@@ -15,21 +57,41 @@ client
 const account = new Appwrite.Account(client);
 const databases = new Appwrite.Databases(client);
 const storage = new Appwrite.Storage(client);
+const teams = new Appwrite.Teams(client);
 
 // State
 let manufacturers = [];
 let wings = [];
+let imageReport = null; // bucket vs. collection reconciliation (maintenance tab)
+let duplicateReport = []; // [{ kind, a, b, score }] merge candidates (maintenance tab)
+let wingGallery = []; // wing modal images: [{ fileId?, unsaved?, source?, blob?, previewUrl, colourway, view }]
+let draggedGalleryIndex = null;
+let manufacturerLogo = null; // manufacturer modal logo: { fileId?, source?, blob?, previewUrl }
+let selectedWingIds = new Set();
+let trashedWings = []; // soft-deleted (deletedAt set), hidden from the iOS app
+let manufacturersPendingDeletion = []; // published manufacturers deleted in the draft, removed by "Publier"
+let catalogVersion = null; // CATALOG_VERSION_DOCUMENT_ID, null until the first publication
 let currentUser = null;
+let currentRole = 'viewer';
 let deleteCallback = null;
 let viewMode = 'cards'; // 'cards' or 'list'
 let draggedManufacturerId = null;
 let draggedWingId = null;
+let importPlan = null;
+let restorePlan = null;
+let restoreLog = [];
+let wingFilters = { q: '', manufacturer: '', discipline: '', certification: '', yearMin: '', yearMax: '', image: '', size: '' };
+let wingSort = { key: '', dir: 'asc' }; // empty key = manual displayOrder
+let loadStatus = {
+    manufacturers: { loaded: 0, total: 0, complete: true, loading: false },
+    wings: { loaded: 0, total: 0, complete: true, loading: false }
+};
 
 // DOM Elements (initialized in DOMContentLoaded)
 let loginSection, mainContent, loginForm, manufacturerForm, wingForm;
 
 // Bootstrap modals
-let manufacturerModal, wingModal, deleteModal;
+let manufacturerModal, wingModal, deleteModal, importModal, restoreModal, writeFailuresModal, syncModal, batchModal, conflictModal, publishModal, previewModal;
 
 // Initialize
 document.addEventListener('DOMContentLoaded', async () => {
@@ -46,14 +108,48 @@ document.addEventListener('DOMContentLoaded', async () => {
     manufacturerModal = new bootstrap.Modal(document.getElementById('manufacturer-modal'));
     wingModal = new bootstrap.Modal(document.getElementById('wing-modal'));
     deleteModal = new bootstrap.Modal(document.getElementById('delete-modal'));
+    importModal = new bootstrap.Modal(document.getElementById('import-modal'));
+    restoreModal = new bootstrap.Modal(document.getElementById('restore-modal'));
+    batchModal = new bootstrap.Modal(document.getElementById('batch-modal'));
+    writeFailuresModal = new bootstrap.Modal(document.getElementById('write-failures-modal'));
+    conflictModal = new bootstrap.Modal(document.getElementById('conflict-modal'));
+    document.getElementById('conflict-modal').addEventListener('hidden.bs.modal', () => settleConflict(null));
+    syncModal = new bootstrap.Modal(document.getElementById('sync-modal'));
+    publishModal = new bootstrap.Modal(document.getElementById('publish-modal'));
+    previewModal = new bootstrap.Modal(document.getElementById('preview-modal'));
+    offlineStoreReady = initOfflineStore();
 
     // Setup event listeners
     loginForm.addEventListener('submit', handleLogin);
     manufacturerForm.addEventListener('submit', handleManufacturerSubmit);
     wingForm.addEventListener('submit', handleWingSubmit);
-    document.getElementById('filter-manufacturer').addEventListener('change', renderWings);
+    wingForm.addEventListener('input', renderWingAppPreview);
+    wingForm.addEventListener('change', renderWingAppPreview);
+    initLanguageSelects();
+    initWingFilters();
+    initWingClassification();
+    initImagePipeline();
+    setupWingGalleryEvents();
+    setupDelegatedEvents();
     document.getElementById('wing-image').addEventListener('change', handleImagePreview);
+    document.getElementById('manufacturer-logo').addEventListener('change', handleManufacturerLogoChange);
     document.getElementById('confirm-delete-btn').addEventListener('click', handleDelete);
+    document.getElementById('import-file').addEventListener('change', handleImportFile);
+    document.getElementById('confirm-import-btn').addEventListener('click', applyImport);
+    document.getElementById('restore-file').addEventListener('change', handleRestoreFile);
+    document.getElementById('confirm-restore-btn').addEventListener('click', applyRestore);
+    document.getElementById('apply-batch-btn').addEventListener('click', applyBatch);
+
+    // Leaving with queued writes would silently drop them (offline changes are kept in IndexedDB)
+    window.addEventListener('beforeunload', (e) => {
+        if (writeQueue.length > 0 || writeQueueRunning) e.preventDefault();
+    });
+    document.getElementById('rollback-restore-btn').addEventListener('click', rollbackRestore);
+    document.getElementById('history-filter-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        loadAuditLog();
+    });
+    document.querySelector('[data-bs-target="#tab-history"]').addEventListener('shown.bs.tab', loadAuditLog);
 
     // Check if already logged in
     try {
@@ -67,6 +163,136 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
 });
 
+// Delegated events: rendered markup only carries data-* attributes, never inline handlers
+const DATA_ACTIONS = {
+    'edit-manufacturer': id => editManufacturer(id),
+    'delete-manufacturer': id => confirmDeleteManufacturer(id),
+    'remove-manufacturer-logo': () => setManufacturerLogo(null),
+    'filter-manufacturer': id => setManufacturerFilter(id),
+    'duplicate-wing': id => duplicateWing(id),
+    'edit-wing': id => editWing(id),
+    'delete-wing': id => confirmDeleteWing(id),
+    'restore-wing': id => restoreWingFromTrash(id),
+    'purge-wing': id => confirmPurgeWing(id),
+    'scan-images': () => scanWingImages(),
+    'delete-orphans': () => deleteOrphanFiles(),
+    'relink-dangling': () => relinkWingImages('dangling-wings'),
+    'clear-dangling': () => clearDanglingReferences(),
+    'relink-missing': () => relinkWingImages('missing-wings'),
+    'check-all': (id, target) => toggleAllChecked(id, target.checked),
+    'gallery-primary': index => moveGalleryItem(Number(index), 0),
+    'gallery-remove': index => removeGalleryItem(Number(index)),
+    'add-size-row': () => addSizeRow(),
+    'migrate-wing-types': () => migrateWingTypes(),
+    'migrate-published-flags': () => migratePublishedFlags(),
+    'find-duplicates': () => findDuplicates(),
+    'merge-duplicate': value => confirmMergeDuplicate(value),
+    'renumber-order': scope => renumberDisplayOrder(scope),
+    'show-publish': () => showPublishModal(),
+    'publish-catalog': () => publishCatalog(),
+    'show-preview': () => showCatalogPreview(),
+    'toggle-wing-selection': (id, target) => toggleWingSelection(id, target.checked),
+    'select-all-wings': (id, target) => selectAllVisibleWings(target.checked),
+    'clear-wing-selection': () => clearWingSelection(),
+    'open-batch': action => showBatchModal(action),
+    'show-write-failures': () => showWriteFailures(),
+    'clear-write-failures': () => clearWriteFailures(),
+    'show-sync': () => showSyncModal(),
+    'sync-now': () => syncPendingChanges(),
+    'reload-wing-form': () => reloadWingForm(),
+    'conflict-merge': () => settleConflict('merge'),
+    'conflict-override': () => settleConflict('override'),
+    'sync-keep-local': index => resolveSyncConflict(Number(index), true),
+    'sync-keep-remote': index => resolveSyncConflict(Number(index), false),
+    'sync-retry': index => retryFailedChange(Number(index)),
+    'sync-discard': index => discardFailedChange(Number(index)),
+    'remove-size-row': index => removeSizeRow(Number(index)),
+    'reload': () => loadData(),
+    'restore-take-all': () => setAllRestoreChoices(true),
+    'restore-keep-all': () => setAllRestoreChoices(false),
+    'download-restore-log': () => downloadRestoreLog(),
+    'history-filter-user': id => filterAuditLog('user', id),
+    'history-filter-document': id => filterAuditLog('document', id)
+};
+
+function setupDelegatedEvents() {
+    document.addEventListener('click', (e) => {
+        const target = e.target.closest('[data-action]');
+        if (!target || !DATA_ACTIONS[target.dataset.action]) return;
+        if (target.type !== 'checkbox') e.preventDefault();
+        DATA_ACTIONS[target.dataset.action](target.dataset.id, target);
+    });
+
+    document.getElementById('preview-modes').addEventListener('change', renderCatalogPreview);
+
+    document.getElementById('restore-preview').addEventListener('change', (e) => {
+        if (e.target.dataset.restoreIndex !== undefined) {
+            setRestoreChoice(Number(e.target.dataset.restoreIndex), e.target.value === 'snapshot');
+        }
+    });
+
+    const manufacturersContainer = document.getElementById('manufacturers-container');
+    manufacturersContainer.addEventListener('dragstart', handleManufacturerDragStart);
+    manufacturersContainer.addEventListener('dragover', handleManufacturerDragOver);
+    manufacturersContainer.addEventListener('dragenter', handleManufacturerDragEnter);
+    manufacturersContainer.addEventListener('dragleave', handleManufacturerDragLeave);
+    manufacturersContainer.addEventListener('drop', handleManufacturerDrop);
+    manufacturersContainer.addEventListener('dragend', handleManufacturerDragEnd);
+
+    const wingsContainer = document.getElementById('wings-cards');
+    wingsContainer.addEventListener('dragstart', handleWingDragStart);
+    wingsContainer.addEventListener('dragover', handleWingDragOver);
+    wingsContainer.addEventListener('dragenter', handleWingDragEnter);
+    wingsContainer.addEventListener('dragleave', handleWingDragLeave);
+    wingsContainer.addEventListener('drop', handleWingDrop);
+    wingsContainer.addEventListener('dragend', handleWingDragEnd);
+}
+
+// Interface language: static markup is swapped by applyTranslations (i18n.js),
+// everything rendered from data is rendered again
+function initLanguageSelects() {
+    applyTranslations();
+    document.querySelectorAll('.language-select').forEach(select => {
+        select.innerHTML = Object.entries(LANGUAGES)
+            .map(([language, { label }]) => `<option value="${language}">${escapeHtml(label)}</option>`)
+            .join('');
+        select.value = currentLanguage;
+        select.addEventListener('change', () => setLanguage(select.value));
+    });
+}
+
+function setLanguage(language) {
+    if (!LANGUAGES[language] || language === currentLanguage) return;
+    currentLanguage = language;
+    localStorage.setItem(LANGUAGE_STORAGE_KEY, language);
+    document.querySelectorAll('.language-select').forEach(select => {
+        select.value = language;
+    });
+    applyTranslations();
+
+    document.querySelectorAll('#filter-discipline option').forEach(option => {
+        if (WING_DISCIPLINES.includes(option.value)) option.text = formatDiscipline(option.value);
+    });
+    document.querySelector('#filter-certification option[value="none"]').text = t('Non homologuée');
+    WING_DISCIPLINES.forEach((d, index) => {
+        document.querySelector(`label[for="wing-discipline-${index}"]`).textContent = formatDiscipline(d);
+    });
+
+    if (!currentUser) return;
+    applyRolePermissions();
+    updateStats();
+    updateManufacturerSelects();
+    renderPublishStatus();
+    renderSyncStatus();
+    renderWriteQueue();
+    renderTrash();
+    renderTypeMigration();
+    renderPublishedFlagMigration();
+    renderQualityReport();
+    if (imageReport) renderImageReport();
+    if (duplicateReport.length > 0) renderDuplicateReport();
+}
+
 // Auth functions
 function showLoginSection() {
     // Use classList to properly show/hide (d-flex uses !important)
@@ -76,7 +302,7 @@ function showLoginSection() {
     mainContent.style.display = 'none';
 }
 
-function showMainContent() {
+async function showMainContent() {
     console.log('showMainContent called');
 
     if (!loginSection || !mainContent) {
@@ -91,7 +317,58 @@ function showMainContent() {
     mainContent.style.display = 'block';
 
     document.getElementById('user-email').textContent = currentUser.email;
-    loadData();
+    currentRole = await resolveUserRole(currentUser);
+    applyRolePermissions();
+    await offlineStoreReady;
+    await loadData();
+    subscribeToCatalogChanges();
+    syncPendingChanges();
+}
+
+// Highest role wins; unknown users fall back to read-only
+async function resolveUserRole(user) {
+    const roles = [];
+
+    (user.labels || []).forEach(label => {
+        if (ROLE_PERMISSIONS[label]) roles.push(label);
+    });
+
+    try {
+        const response = await teams.list();
+        response.teams.forEach(team => {
+            if (ROLE_TEAMS[team.$id]) roles.push(ROLE_TEAMS[team.$id]);
+        });
+    } catch (error) {
+        console.warn('Could not list teams:', error.message);
+    }
+
+    const ranking = Object.keys(ROLE_PERMISSIONS);
+    return roles.sort((a, b) => ranking.indexOf(b) - ranking.indexOf(a))[0] || DEFAULT_ROLE;
+}
+
+function can(permission) {
+    return ROLE_PERMISSIONS[currentRole].includes(permission);
+}
+
+// Elements tagged data-requires="<permission>" are hidden via body classes (see index.html)
+function applyRolePermissions() {
+    const allPermissions = new Set(Object.values(ROLE_PERMISSIONS).flat());
+    allPermissions.forEach(permission => {
+        document.body.classList.toggle('can-' + permission, can(permission));
+    });
+
+    const badge = document.getElementById('user-role');
+    badge.textContent = t(ROLE_LABELS[currentRole].label);
+    badge.className = 'badge ' + ROLE_LABELS[currentRole].badge;
+
+    renderManufacturers();
+    renderWings();
+}
+
+function requirePermission(permission) {
+    if (can(permission)) return true;
+    showToast(t('Action non autorisée pour le rôle {role}', { role: t(ROLE_LABELS[currentRole].label) }), 'warning');
+    return false;
 }
 
 async function handleLogin(e) {
@@ -107,7 +384,7 @@ async function handleLogin(e) {
         // Check if already logged in
         try {
             currentUser = await account.get();
-            showToast('Déjà connecté', 'success');
+            showToast(t('Déjà connecté'), 'success');
             showMainContent();
             return;
         } catch (e) {
@@ -116,10 +393,10 @@ async function handleLogin(e) {
 
         await account.createEmailPasswordSession(email, password);
         currentUser = await account.get();
-        showToast('Connexion réussie', 'success');
+        showToast(t('Connexion réussie'), 'success');
         showMainContent();
     } catch (error) {
-        showToast('Erreur de connexion: ' + error.message, 'danger');
+        showToast(t('Erreur de connexion: {message}', { message: error.message }), 'danger');
     } finally {
         btn.classList.remove('loading');
         btn.disabled = false;
@@ -129,705 +406,5428 @@ async function handleLogin(e) {
 async function logout() {
     try {
         await account.deleteSession('current');
+        unsubscribeFromCatalogChanges();
         currentUser = null;
+        currentRole = 'viewer';
         showLoginSection();
-        showToast('Déconnexion réussie', 'success');
+        showToast(t('Déconnexion réussie'), 'success');
     } catch (error) {
-        showToast('Erreur de déconnexion: ' + error.message, 'danger');
+        showToast(t('Erreur de déconnexion: {message}', { message: error.message }), 'danger');
     }
 }
 
-// Data loading
-async function loadData() {
-    try {
-        await Promise.all([loadManufacturers(), loadWings()]);
-        updateStats();
-        updateManufacturerSelects();
-    } catch (error) {
-        showToast('Erreur de chargement: ' + error.message, 'danger');
+// Write queue: every mutation goes through it, one call at a time and spaced out
+// to stay under Appwrite's rate limit. Transient failures (429, 5xx, network) are
+// retried with exponential backoff before the write is reported as failed.
+const WRITE_INTERVAL_MS = 200;
+const WRITE_MAX_RETRIES = 3;
+const WRITE_RETRY_BASE_MS = 1000;
+
+const writeQueue = [];
+const writeFailures = []; // [{ label, message, time }] shown in the failures modal
+let writeQueueRunning = false;
+let writeProgress = { done: 0, total: 0 };
+let lastWriteAt = 0;
+
+// A deferrable write that fails on the network becomes a pending offline change instead of a failure.
+// `recover` (creates only) looks up what an attempt with an unknown outcome may already have created.
+function enqueueWrite(label, operation, deferrable = false, recover = null) {
+    return new Promise((resolve, reject) => {
+        writeQueue.push({ label, operation, deferrable, recover, resolve, reject });
+        writeProgress.total++;
+        renderWriteQueue();
+        processWriteQueue();
+    });
+}
+
+async function processWriteQueue() {
+    if (writeQueueRunning) return;
+    writeQueueRunning = true;
+
+    while (writeQueue.length > 0) {
+        const job = writeQueue.shift();
+        try {
+            job.resolve(await runWithRetry(job.operation, job.recover));
+        } catch (error) {
+            if (!(job.deferrable && isNetworkError(error))) {
+                writeFailures.push({ label: job.label, message: error.message, time: new Date() });
+            }
+            job.reject(error);
+        }
+        writeProgress.done++;
+        renderWriteQueue();
     }
+
+    writeQueueRunning = false;
+    writeProgress = { done: 0, total: 0 };
+    renderWriteQueue();
 }
 
-async function loadManufacturers() {
-    const response = await databases.listDocuments(
-        DATABASE_ID,
-        MANUFACTURERS_COLLECTION_ID,
-        [Appwrite.Query.orderAsc('displayOrder'), Appwrite.Query.limit(100)]
-    );
-    manufacturers = response.documents;
-    renderManufacturers();
+function isTransientError(error) {
+    return !error.code || error.code === 429 || error.code >= 500;
 }
 
-async function loadWings() {
-    const response = await databases.listDocuments(
-        DATABASE_ID,
-        WINGS_COLLECTION_ID,
-        [Appwrite.Query.orderAsc('displayOrder'), Appwrite.Query.orderAsc('model'), Appwrite.Query.limit(500)]
-    );
-    wings = response.documents;
-    renderWings();
+// A network error or 5xx may hide a write the server applied (429 means it was not):
+// a create retried after one gets a 409, which counts as success when `recover` finds our copy
+async function runWithRetry(operation, recover = null) {
+    let maybeApplied = false;
+    for (let attempt = 0; ; attempt++) {
+        const wait = lastWriteAt + WRITE_INTERVAL_MS - Date.now();
+        if (wait > 0) await sleep(wait);
+        lastWriteAt = Date.now();
+
+        try {
+            return await operation();
+        } catch (error) {
+            if (maybeApplied && recover && error.code === 409) {
+                const existing = await recover();
+                if (existing) return existing;
+            }
+            if (attempt >= WRITE_MAX_RETRIES || !isTransientError(error)) throw error;
+            if (error.code !== 429) maybeApplied = true;
+            await sleep(WRITE_RETRY_BASE_MS * 2 ** attempt);
+        }
+    }
 }
 
-// View mode toggle
-function setViewMode(mode) {
-    viewMode = mode;
-    document.getElementById('view-cards').classList.toggle('active', mode === 'cards');
-    document.getElementById('view-list').classList.toggle('active', mode === 'list');
-    document.getElementById('wings-cards').style.display = mode === 'cards' ? 'flex' : 'none';
-    document.getElementById('wings-list').style.display = mode === 'list' ? 'block' : 'none';
-    renderWings();
+// The document a retried create already wrote, or null when the id is taken by a different document
+async function findCreatedDocument(collectionId, id, data) {
+    const remote = await databases.getDocument(DATABASE_ID, collectionId, id).catch(ignoreNotFound);
+    return remote && Object.entries(data).every(([field, value]) => isSameValue(value, remote[field])) ? remote : null;
 }
 
-// Render functions
-function renderManufacturers() {
-    const container = document.getElementById('manufacturers-container');
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
 
-    if (manufacturers.length === 0) {
-        container.innerHTML = '<tr><td colspan="5" class="text-center text-muted py-4">Aucun fabricant</td></tr>';
-        return;
+// Catalogue documents are created unpublished and edited through their draft (see toDraftWrite)
+function queueCreateDocument(collectionId, id, data, label = id) {
+    if (DRAFT_COLLECTIONS.includes(collectionId)) data = { ...data, published: false };
+    return writeDocument('create', collectionId, id, data, label,
+        () => databases.createDocument(DATABASE_ID, collectionId, id, data));
+}
+
+function queueUpdateDocument(collectionId, id, data, label = id) {
+    data = toDraftWrite(collectionId, id, data);
+    return writeDocument('update', collectionId, id, data, label,
+        () => databases.updateDocument(DATABASE_ID, collectionId, id, data));
+}
+
+// Deletes are idempotent: an item that is already gone counts as deleted.
+// A document the app still shows is only marked deleted in its draft.
+function queueDeleteDocument(collectionId, id, label = id) {
+    if (isDraftDelete(collectionId, id)) {
+        return queueUpdateDocument(collectionId, id, { deletedAt: new Date().toISOString() }, label);
     }
+    return writeDocument('delete', collectionId, id, null, label,
+        () => databases.deleteDocument(DATABASE_ID, collectionId, id).catch(ignoreNotFound));
+}
 
-    container.innerHTML = manufacturers.map((m, index) => {
-        const wingCount = wings.filter(w => w.manufacturerId === m.$id).length;
-        return `
-            <tr class="manufacturer-drag-item"
-                draggable="true"
-                data-id="${m.$id}"
-                data-index="${index}"
-                ondragstart="handleManufacturerDragStart(event, '${m.$id}')"
-                ondragover="handleManufacturerDragOver(event)"
-                ondragenter="handleManufacturerDragEnter(event)"
-                ondragleave="handleManufacturerDragLeave(event)"
-                ondrop="handleManufacturerDrop(event, '${m.$id}')"
-                ondragend="handleManufacturerDragEnd(event)">
-                <td class="drag-handle text-center text-muted" style="cursor: grab;" title="Glisser pour réordonner">
-                    <i class="bi bi-grip-vertical"></i>
-                </td>
-                <td><strong>${m.name}</strong></td>
-                <td><code class="text-muted">${m.$id}</code></td>
-                <td><span class="badge bg-secondary">${wingCount}</span></td>
-                <td>
-                    <button class="btn btn-sm btn-outline-primary me-1" onclick="editManufacturer('${m.$id}')" title="Modifier">
-                        <i class="bi bi-pencil"></i>
-                    </button>
-                    <button class="btn btn-sm btn-outline-danger" onclick="confirmDeleteManufacturer('${m.$id}', '${m.name}')" title="Supprimer">
-                        <i class="bi bi-trash"></i>
-                    </button>
-                </td>
-            </tr>
-        `;
-    }).join('');
+// Files are not kept offline: image changes need the connection
+function queueCreateFile(bucketId, fileId, file, label = file.name) {
+    if (isOffline()) return Promise.reject(new Error(t('connexion requise pour envoyer une image')));
+    return enqueueWrite(label, () => {
+        markOwnWrite(fileId);
+        return storage.createFile(bucketId, fileId, file);
+    }, false, async () => {
+        const existing = await storage.getFile(bucketId, fileId).catch(ignoreNotFound);
+        return existing && existing.name === file.name && existing.sizeOriginal === file.size ? existing : null;
+    });
 }
 
-// Drag & Drop for manufacturers
-function handleManufacturerDragStart(e, id) {
-    draggedManufacturerId = id;
-    e.target.classList.add('dragging');
-    e.dataTransfer.effectAllowed = 'move';
-    e.dataTransfer.setData('text/plain', id);
+function queueDeleteFile(bucketId, fileId, label = fileId) {
+    if (isOffline()) return Promise.reject(new Error(t('connexion requise pour supprimer une image')));
+    return enqueueWrite(label, () => {
+        markOwnWrite(fileId);
+        return storage.deleteFile(bucketId, fileId).catch(ignoreNotFound);
+    });
 }
 
-function handleManufacturerDragOver(e) {
-    e.preventDefault();
-    e.dataTransfer.dropEffect = 'move';
+function isDraftDelete(collectionId, id) {
+    return isVisibleInApp(findLocalDocument(collectionId, id));
 }
 
-function handleManufacturerDragEnter(e) {
-    e.preventDefault();
-    const item = e.target.closest('.manufacturer-drag-item');
-    if (item && item.dataset.id !== draggedManufacturerId) {
-        item.classList.add('drag-over');
-    }
+function ignoreNotFound(error) {
+    if (error.code !== 404) throw error;
+    return null;
 }
 
-function handleManufacturerDragLeave(e) {
-    const item = e.target.closest('.manufacturer-drag-item');
-    if (item) {
-        item.classList.remove('drag-over');
-    }
+// Queues one write per item and waits for all of them, keeping track of which ones failed
+async function runQueuedWrites(items, operation) {
+    const results = await Promise.allSettled(items.map(operation));
+    return {
+        succeeded: items.filter((item, i) => results[i].status === 'fulfilled'),
+        failed: items.filter((item, i) => results[i].status === 'rejected')
+    };
 }
 
-function handleManufacturerDragEnd(e) {
-    draggedManufacturerId = null;
-    document.querySelectorAll('.manufacturer-drag-item').forEach(el => {
-        el.classList.remove('dragging', 'drag-over');
+function reportWriteFailures(title, count) {
+    showToast(t('{title}: {count} écriture(s) en échec', { title, count }), 'danger', {
+        label: t('Détails'),
+        handler: showWriteFailures
     });
 }
 
-async function handleManufacturerDrop(e, targetId) {
-    e.preventDefault();
+function renderWriteQueue() {
+    const pending = writeQueue.length + (writeQueueRunning ? 1 : 0);
+    const indicator = document.getElementById('write-queue');
+    indicator.classList.toggle('d-none', pending === 0);
+    document.getElementById('write-queue-count').textContent = t('{count} en attente', { count: pending });
+    const percent = writeProgress.total > 0 ? Math.round(writeProgress.done / writeProgress.total * 100) : 0;
+    document.getElementById('write-queue-bar').style.width = percent + '%';
 
-    const item = e.target.closest('.manufacturer-drag-item');
-    if (item) {
-        item.classList.remove('drag-over');
-    }
+    const failuresBtn = document.getElementById('write-failures-btn');
+    failuresBtn.classList.toggle('d-none', writeFailures.length === 0);
+    document.getElementById('write-failures-count').textContent = writeFailures.length;
+}
 
-    if (!draggedManufacturerId || draggedManufacturerId === targetId) return;
+function showWriteFailures() {
+    document.getElementById('write-failures-list').innerHTML = writeFailures.length === 0
+        ? `<div class="text-center text-muted py-3">${t('Aucun échec')}</div>`
+        : `
+            <table class="table table-sm mb-0">
+                <tbody>
+                    ${[...writeFailures].reverse().map(f => `
+                        <tr>
+                            <td class="text-muted small text-nowrap">${f.time.toLocaleTimeString(getLocale())}</td>
+                            <td><code>${escapeHtml(f.label)}</code></td>
+                            <td class="small text-danger">${escapeHtml(f.message)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    writeFailuresModal.show();
+}
 
-    // Find indices
-    const draggedIndex = manufacturers.findIndex(m => m.$id === draggedManufacturerId);
-    const targetIndex = manufacturers.findIndex(m => m.$id === targetId);
+function clearWriteFailures() {
+    writeFailures.length = 0;
+    renderWriteQueue();
+    writeFailuresModal.hide();
+}
 
-    if (draggedIndex === -1 || targetIndex === -1) return;
+// Offline editing: the last complete catalogue is cached in IndexedDB and document
+// writes made while the connection is down are kept as pending changes. They are
+// replayed when the connection comes back, skipping any document whose $updatedAt
+// moved on the server in the meantime (reported as a conflict to resolve by hand).
+const OFFLINE_DB_NAME = 'paraflightlog-admin';
+const OFFLINE_STORE = 'state';
 
-    // Calculate which items need updating (only those between source and target)
-    const minIndex = Math.min(draggedIndex, targetIndex);
-    const maxIndex = Math.max(draggedIndex, targetIndex);
+let offlineDb = null;
+let offlineStoreReady = Promise.resolve();
+let pendingChanges = []; // [{ kind, collectionId, id, data, label, baseUpdatedAt, createdAt, conflict?, error?, force? }]
+let syncState = { online: navigator.onLine, syncing: false, cacheSavedAt: null };
 
-    // Reorder locally first for instant feedback
-    const [draggedItem] = manufacturers.splice(draggedIndex, 1);
-    manufacturers.splice(targetIndex, 0, draggedItem);
+function openOfflineDb() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(OFFLINE_DB_NAME, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(OFFLINE_STORE);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
 
-    // Only update items that changed position (between min and max)
-    const updates = [];
-    for (let i = minIndex; i <= maxIndex; i++) {
-        const m = manufacturers[i];
-        if (m.displayOrder !== i) {
-            updates.push({ id: m.$id, displayOrder: i });
-        }
+function offlineStoreRequest(mode, run) {
+    return new Promise((resolve, reject) => {
+        const request = run(offlineDb.transaction(OFFLINE_STORE, mode).objectStore(OFFLINE_STORE));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function initOfflineStore() {
+    try {
+        offlineDb = await openOfflineDb();
+        pendingChanges = (await offlineStoreRequest('readonly', store => store.get('pending'))) || [];
+    } catch (error) {
+        // Private browsing can refuse IndexedDB: the admin keeps working online only
+        console.warn('Offline store unavailable:', error);
+        offlineDb = null;
     }
 
-    // Update local state
-    updates.forEach(u => {
-        const mfr = manufacturers.find(m => m.$id === u.id);
-        if (mfr) mfr.displayOrder = u.displayOrder;
+    window.addEventListener('online', () => {
+        syncState.online = true;
+        syncPendingChanges();
     });
+    window.addEventListener('offline', () => {
+        syncState.online = false;
+        renderSyncStatus();
+    });
+    renderSyncStatus();
+}
 
-    // Re-render immediately
-    renderManufacturers();
-
-    // Save to database - sequential to avoid rate limit
-    if (updates.length > 0) {
-        try {
-            for (const u of updates) {
-                await databases.updateDocument(DATABASE_ID, MANUFACTURERS_COLLECTION_ID, u.id, {
-                    displayOrder: u.displayOrder
-                });
-            }
-            showToast('Ordre mis à jour', 'success');
-        } catch (error) {
-            showToast('Erreur lors de la mise à jour: ' + error.message, 'danger');
-            // Reload to get correct order
-            await loadManufacturers();
-        }
+async function saveOfflineValue(key, value) {
+    if (!offlineDb) return;
+    try {
+        await offlineStoreRequest('readwrite', store => store.put(value, key));
+    } catch (error) {
+        console.warn(`Offline store write failed (${key}):`, error);
     }
 }
 
-// Drag & Drop for wings
-function handleWingDragStart(e, id) {
-    draggedWingId = id;
-    e.target.classList.add('dragging');
-    e.dataTransfer.effectAllowed = 'move';
-    e.dataTransfer.setData('text/plain', id);
+async function readOfflineValue(key) {
+    if (!offlineDb) return null;
+    return offlineStoreRequest('readonly', store => store.get(key));
 }
 
-function handleWingDragOver(e) {
-    e.preventDefault();
-    e.dataTransfer.dropEffect = 'move';
+function savePendingChanges() {
+    renderSyncStatus();
+    return saveOfflineValue('pending', pendingChanges);
 }
 
-function handleWingDragEnter(e) {
-    e.preventDefault();
-    const item = e.target.closest('.wing-drag-item');
-    if (item && item.dataset.id !== draggedWingId) {
-        item.classList.add('drag-over');
-    }
+function isNetworkError(error) {
+    return !error.code;
 }
 
-function handleWingDragLeave(e) {
-    const item = e.target.closest('.wing-drag-item');
-    if (item) {
-        item.classList.remove('drag-over');
-    }
+function isOffline() {
+    return !navigator.onLine || !syncState.online;
 }
 
-function handleWingDragEnd() {
-    draggedWingId = null;
-    document.querySelectorAll('.wing-drag-item').forEach(el => {
-        el.classList.remove('dragging', 'drag-over');
-    });
+function findLocalDocument(collectionId, id) {
+    if (collectionId === MANUFACTURERS_COLLECTION_ID) return [...manufacturers, ...manufacturersPendingDeletion].find(m => m.$id === id);
+    if (collectionId === WINGS_COLLECTION_ID) return [...wings, ...trashedWings].find(w => w.$id === id);
+    return null;
 }
 
-async function handleWingDrop(e, targetId) {
-    e.preventDefault();
+// Document writes fall back to a pending change when the network is unreachable
+async function writeDocument(kind, collectionId, id, data, label, operation) {
+    if (offlineDb && isOffline()) return deferChange(kind, collectionId, id, data, label);
 
-    const item = e.target.closest('.wing-drag-item');
-    if (item) {
-        item.classList.remove('drag-over');
+    try {
+        return await enqueueWrite(label, () => {
+            markOwnWrite(id);
+            return operation();
+        }, !!offlineDb, kind === 'create' ? () => findCreatedDocument(collectionId, id, data) : null);
+    } catch (error) {
+        if (!offlineDb || !isNetworkError(error)) throw error;
+        syncState.online = false;
+        return deferChange(kind, collectionId, id, data, label);
     }
+}
 
-    if (!draggedWingId || draggedWingId === targetId) return;
+// Successive edits of one document are merged so each document syncs once,
+// against the $updatedAt it had before the first offline edit
+async function deferChange(kind, collectionId, id, data, label) {
+    const existing = pendingChanges.find(c => c.collectionId === collectionId && c.id === id && !c.conflict);
 
-    // Get current filtered view
-    const filterManufacturer = document.getElementById('filter-manufacturer').value;
-    let currentWings = filterManufacturer
-        ? wings.filter(w => w.manufacturerId === filterManufacturer)
-        : [...wings];
+    if (existing && existing.kind === 'create' && kind === 'delete') {
+        pendingChanges.splice(pendingChanges.indexOf(existing), 1);
+    } else if (existing && kind === 'delete') {
+        Object.assign(existing, { kind: 'delete', data: null, label });
+    } else if (existing && existing.kind === 'delete') {
+        Object.assign(existing, { kind: 'update', data, label });
+    } else if (existing) {
+        existing.data = { ...existing.data, ...data };
+    } else {
+        const local = findLocalDocument(collectionId, id);
+        pendingChanges.push({
+            kind,
+            collectionId,
+            id,
+            data,
+            label,
+            baseUpdatedAt: local ? local.$updatedAt || null : null,
+            createdAt: new Date().toISOString()
+        });
+    }
 
-    // Find indices in filtered array
-    const draggedIndex = currentWings.findIndex(w => w.$id === draggedWingId);
-    const targetIndex = currentWings.findIndex(w => w.$id === targetId);
+    await savePendingChanges();
+    return { $id: id, ...data };
+}
 
-    if (draggedIndex === -1 || targetIndex === -1) return;
+// Local view of a collection: last server state plus the pending changes
+function applyPendingChanges(collectionId, documents) {
+    return applyChanges(documents, pendingChanges.filter(c => c.collectionId === collectionId));
+}
 
-    // Calculate which items need updating (only those between source and target)
-    const minIndex = Math.min(draggedIndex, targetIndex);
-    const maxIndex = Math.max(draggedIndex, targetIndex);
+function applyChanges(documents, changes) {
+    const result = documents.map(doc => ({ ...doc }));
+    changes.forEach(change => {
+        const index = result.findIndex(doc => doc.$id === change.id);
+        if (change.kind === 'delete') {
+            if (index !== -1) result.splice(index, 1);
+        } else if (index !== -1) {
+            Object.assign(result[index], change.data, { pending: true });
+        } else {
+            result.push({ $id: change.id, ...change.data, pending: true });
+        }
+    });
+    return result;
+}
 
-    // Reorder in filtered array
-    const [draggedItem] = currentWings.splice(draggedIndex, 1);
-    currentWings.splice(targetIndex, 0, draggedItem);
+// Reads a whole collection, falling back to the cached copy when offline
+async function loadCollection(key, collectionId, queries) {
+    if (offlineDb && !navigator.onLine) return loadCachedCollection(key);
 
-    // Only update items that changed position (between min and max)
-    const updates = [];
-    for (let i = minIndex; i <= maxIndex; i++) {
-        const w = currentWings[i];
-        if (w.displayOrder !== i) {
-            updates.push({ id: w.$id, displayOrder: i });
+    try {
+        const documents = await listAllDocuments(key, collectionId, queries);
+        if (!syncState.online) {
+            // Back online without an 'online' event (server outage rather than a lost network)
+            syncState.online = true;
+            syncPendingChanges();
+        }
+        if (loadStatus[key].complete) {
+            syncState.cacheSavedAt = null;
+            saveOfflineValue(key, { documents, savedAt: new Date().toISOString() });
         }
+        return documents;
+    } catch (error) {
+        if (!offlineDb || !isNetworkError(error)) throw error;
+        syncState.online = false;
+        return loadCachedCollection(key);
     }
+}
 
-    // Update main wings array with new order
-    updates.forEach(u => {
-        const wing = wings.find(w => w.$id === u.id);
-        if (wing) wing.displayOrder = u.displayOrder;
-    });
+async function loadCachedCollection(key) {
+    const cached = await readOfflineValue(key);
+    if (!cached) throw new Error(t('hors ligne et aucune copie locale du catalogue'));
 
-    // Sort wings array by displayOrder
-    wings.sort((a, b) => (a.displayOrder || 0) - (b.displayOrder || 0));
+    // The cache only holds complete loads, so it is safe for reorders and exports
+    Object.assign(loadStatus[key], { loading: false, loaded: cached.documents.length, total: cached.documents.length, complete: true });
+    syncState.cacheSavedAt = cached.savedAt;
+    renderLoadBanner();
+    renderSyncStatus();
+    return cached.documents;
+}
 
-    // Re-render immediately
-    renderWings();
+class SyncConflict extends Error {}
 
-    // Save to database - only changed items
-    if (updates.length > 0) {
+async function checkPendingConflict(change) {
+    const remote = await databases.getDocument(DATABASE_ID, change.collectionId, change.id).catch(ignoreNotFound);
+    if (change.force) return remote;
+
+    if (change.kind === 'create') {
+        if (remote) throw new SyncConflict(t('créé entre-temps sur le serveur'));
+    } else if (!remote) {
+        if (change.kind !== 'delete') throw new SyncConflict(t('supprimé entre-temps sur le serveur'));
+    } else if (remote.$updatedAt !== change.baseUpdatedAt) {
+        throw new SyncConflict(t('modifié sur le serveur le {date}', { date: new Date(remote.$updatedAt).toLocaleString(getLocale()) }));
+    }
+    return remote;
+}
+
+async function syncPendingChange(change) {
+    // Audit entries have unique ids and nothing to conflict with
+    const remote = change.collectionId === AUDIT_COLLECTION_ID ? null : await checkPendingConflict(change);
+
+    await enqueueWrite(change.label, () => {
+        markOwnWrite(change.id);
+        if (change.kind === 'delete') {
+            return databases.deleteDocument(DATABASE_ID, change.collectionId, change.id).catch(ignoreNotFound);
+        }
+        // A forced change recreates a document deleted remotely, or overwrites one created remotely
+        return remote
+            ? databases.updateDocument(DATABASE_ID, change.collectionId, change.id, change.data)
+            : databases.createDocument(DATABASE_ID, change.collectionId, change.id, change.data);
+    }, true, !remote && change.kind !== 'delete' ? () => findCreatedDocument(change.collectionId, change.id, change.data) : null);
+}
+
+async function syncPendingChanges() {
+    if (syncState.syncing || !offlineDb || !navigator.onLine) return;
+    if (pendingChanges.length === 0) {
+        renderSyncStatus();
+        return;
+    }
+
+    syncState.syncing = true;
+    syncState.online = true;
+    renderSyncStatus();
+
+    for (const change of [...pendingChanges]) {
+        // Conflicts and rejected changes wait for a decision in the sync modal
+        if ((change.conflict && !change.force) || change.error) continue;
         try {
-            // Sequential updates to avoid rate limit
-            for (const u of updates) {
-                await databases.updateDocument(DATABASE_ID, WINGS_COLLECTION_ID, u.id, {
-                    displayOrder: u.displayOrder
-                });
-            }
-            showToast('Ordre des voiles mis à jour', 'success');
+            await syncPendingChange(change);
+            pendingChanges.splice(pendingChanges.indexOf(change), 1);
         } catch (error) {
-            showToast('Erreur lors de la mise à jour: ' + error.message, 'danger');
-            // Reload to get correct order
-            await loadWings();
+            if (error instanceof SyncConflict) {
+                change.conflict = error.message;
+            } else if (isNetworkError(error)) {
+                syncState.online = false;
+                break;
+            } else {
+                change.error = error.message;
+            }
         }
+        change.force = false;
+        await savePendingChanges();
     }
-}
 
-function renderWings() {
-    const filterManufacturer = document.getElementById('filter-manufacturer').value;
+    syncState.syncing = false;
+    renderSyncStatus();
 
-    let filteredWings = wings;
-    if (filterManufacturer) {
-        filteredWings = wings.filter(w => w.manufacturerId === filterManufacturer);
+    const conflicts = pendingChanges.filter(c => c.conflict).length;
+    const failed = pendingChanges.filter(c => c.error).length;
+    if (conflicts > 0) {
+        showToast(t('Synchronisation: {count} conflit(s) à résoudre', { count: conflicts }), 'warning', {
+            label: t('Voir'),
+            handler: showSyncModal
+        });
+    } else if (failed > 0) {
+        showToast(t('Synchronisation: {count} modification(s) refusée(s) par le serveur', { count: failed }), 'danger', {
+            label: t('Voir'),
+            handler: showSyncModal
+        });
+    } else if (pendingChanges.length === 0) {
+        showToast(t('Modifications hors ligne synchronisées'), 'success');
     }
 
-    if (viewMode === 'cards') {
-        renderWingsCards(filteredWings);
+    await loadData();
+    if (document.getElementById('sync-modal').classList.contains('show')) renderSyncModal();
+}
+
+async function resolveSyncConflict(index, keepLocal) {
+    const change = pendingChanges[index];
+    if (!change) return;
+
+    if (keepLocal) {
+        change.force = true;
+        change.conflict = null;
+        await savePendingChanges();
+        await syncPendingChanges();
     } else {
-        renderWingsTable(filteredWings);
+        pendingChanges.splice(index, 1);
+        await savePendingChanges();
+        await loadData();
     }
+    renderSyncModal();
 }
 
-function renderWingsCards(filteredWings) {
-    const container = document.getElementById('wings-cards');
+// A change the server rejected (validation, permissions) is retried only on demand
+async function retryFailedChange(index) {
+    const change = pendingChanges[index];
+    if (!change) return;
+    change.error = null;
+    await savePendingChanges();
+    await syncPendingChanges();
+    renderSyncModal();
+}
 
-    if (filteredWings.length === 0) {
-        container.innerHTML = `
-            <div class="col-12">
-                <div class="empty-state">
-                    <i class="bi bi-wind"></i>
-                    <p>Aucune voile</p>
-                </div>
-            </div>
+async function discardFailedChange(index) {
+    const change = pendingChanges[index];
+    if (!change) return;
+    pendingChanges.splice(index, 1);
+    await savePendingChanges();
+    await loadData();
+    renderSyncModal();
+}
+
+const SYNC_KIND_LABELS = {
+    create: 'Création',
+    update: 'Modification',
+    delete: 'Suppression'
+};
+
+function renderSyncStatus() {
+    const status = document.getElementById('sync-status');
+    const conflicts = pendingChanges.filter(c => c.conflict).length;
+    const failed = pendingChanges.filter(c => c.error).length;
+    const pending = pendingChanges.length;
+
+    let className = 'btn-outline-success';
+    let html = `<i class="bi bi-cloud-check me-1"></i>${t('Synchronisé')}`;
+    if (syncState.syncing) {
+        className = 'btn-outline-primary';
+        html = `<span class="spinner-border spinner-border-sm me-1"></span>${t('Synchronisation...')}`;
+    } else if (conflicts > 0) {
+        className = 'btn-outline-danger';
+        html = `<i class="bi bi-exclamation-octagon me-1"></i>${t('{count} conflit(s)', { count: conflicts })}`;
+    } else if (failed > 0) {
+        className = 'btn-outline-danger';
+        html = `<i class="bi bi-exclamation-octagon me-1"></i>${t('{count} en échec', { count: failed })}`;
+    } else if (isOffline()) {
+        className = 'btn-warning';
+        html = `<i class="bi bi-cloud-slash me-1"></i>${t('Hors ligne')}${pending > 0 ? ` · ${t('{count} en attente', { count: pending })}` : ''}`;
+    } else if (pending > 0) {
+        className = 'btn-outline-warning';
+        html = `<i class="bi bi-cloud-upload me-1"></i>${t('{count} en attente', { count: pending })}`;
+    }
+
+    status.className = `btn btn-sm ${className}`;
+    status.innerHTML = html;
+    renderLoadBanner();
+}
+
+function showSyncModal() {
+    renderSyncModal();
+    syncModal.show();
+}
+
+function renderSyncModal() {
+    document.getElementById('sync-summary').textContent = isOffline()
+        ? (syncState.cacheSavedAt
+            ? t('Hors ligne, catalogue local du {date}.', { date: new Date(syncState.cacheSavedAt).toLocaleString(getLocale()) })
+            : t('Hors ligne.'))
+        : t('En ligne.');
+    document.getElementById('sync-now-btn').disabled = isOffline() || syncState.syncing || pendingChanges.length === 0;
+
+    document.getElementById('sync-changes').innerHTML = pendingChanges.length === 0
+        ? `<div class="text-center text-muted py-3">${t('Aucune modification en attente')}</div>`
+        : `
+            <table class="table table-sm mb-0">
+                <thead>
+                    <tr>
+                        <th>${t('Date')}</th>
+                        <th>${t('Opération')}</th>
+                        <th>${t('Document')}</th>
+                        <th>${t('État')}</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${pendingChanges.map((c, index) => `
+                        <tr>
+                            <td class="small text-muted text-nowrap">${new Date(c.createdAt).toLocaleString(getLocale())}</td>
+                            <td>${t(SYNC_KIND_LABELS[c.kind])}</td>
+                            <td><code>${escapeHtml(c.label)}</code></td>
+                            <td class="small">
+                                ${c.conflict ? `<span class="text-danger">${t('Conflit: {message}', { message: escapeHtml(c.conflict) })}</span>`
+                                    : c.error ? `<span class="text-danger">${escapeHtml(c.error)}</span>`
+                                    : `<span class="text-muted">${t('En attente')}</span>`}
+                            </td>
+                            <td class="text-nowrap">
+                                ${c.conflict ? `
+                                    <button class="btn btn-sm btn-outline-primary" data-action="sync-keep-local" data-id="${index}">${t('Garder la mienne')}</button>
+                                    <button class="btn btn-sm btn-outline-secondary" data-action="sync-keep-remote" data-id="${index}">${t('Garder le serveur')}</button>
+                                ` : c.error ? `
+                                    <button class="btn btn-sm btn-outline-primary" data-action="sync-retry" data-id="${index}">${t('Réessayer')}</button>
+                                    <button class="btn btn-sm btn-outline-danger" data-action="sync-discard" data-id="${index}">${t('Abandonner')}</button>
+                                ` : ''}
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
         `;
+}
+
+// Realtime: other admins' changes are merged into the local state as they happen.
+// Our own writes echo back through the same channels, so ids written by this tab
+// in the last few seconds are applied without being highlighted as remote.
+const OWN_WRITE_WINDOW_MS = 5000;
+
+const ownWrites = new Map(); // document or file id -> time of our last write
+const imageVersions = {}; // fileId -> cache-busting version after a remote replace
+let unsubscribeRealtime = null;
+
+function markOwnWrite(id) {
+    ownWrites.set(id, Date.now());
+}
+
+function isOwnWrite(id) {
+    return Date.now() - (ownWrites.get(id) || 0) < OWN_WRITE_WINDOW_MS;
+}
+
+function subscribeToCatalogChanges() {
+    if (unsubscribeRealtime) return;
+    unsubscribeRealtime = client.subscribe([
+        `databases.${DATABASE_ID}.collections.${MANUFACTURERS_COLLECTION_ID}.documents`,
+        `databases.${DATABASE_ID}.collections.${WINGS_COLLECTION_ID}.documents`,
+        `databases.${DATABASE_ID}.collections.${CATALOG_COLLECTION_ID}.documents`,
+        `buckets.${WING_IMAGES_BUCKET_ID}.files`
+    ], handleRealtimeEvent);
+}
+
+function unsubscribeFromCatalogChanges() {
+    if (unsubscribeRealtime) unsubscribeRealtime();
+    unsubscribeRealtime = null;
+}
+
+function getRealtimeEventKind(events) {
+    return ['create', 'update', 'delete'].find(kind => events.some(e => e.endsWith('.' + kind)));
+}
+
+function handleRealtimeEvent(response) {
+    const kind = getRealtimeEventKind(response.events);
+    const payload = response.payload;
+    if (!kind || !payload || !payload.$id) return;
+
+    const remote = !isOwnWrite(payload.$id);
+
+    if (payload.$collectionId === MANUFACTURERS_COLLECTION_ID) {
+        setManufacturers(mergeRealtimeDocument(MANUFACTURERS_COLLECTION_ID, [...manufacturers, ...manufacturersPendingDeletion], payload, kind)
+            .sort((a, b) => (a.displayOrder || 0) - (b.displayOrder || 0)));
+        renderManufacturers();
+        updateManufacturerSelects();
+        renderWings(); // manufacturer names appear on every wing
+        updateStats();
+        renderQualityReport();
+        renderPublishStatus();
+        if (remote && kind !== 'delete') highlightRemoteChange('.manufacturer-drag-item', payload.$id);
+    } else if (payload.$collectionId === WINGS_COLLECTION_ID) {
+        const allWings = mergeRealtimeDocument(WINGS_COLLECTION_ID, [...wings, ...trashedWings], payload, kind)
+            .sort((a, b) => (a.displayOrder || 0) - (b.displayOrder || 0) || String(a.model).localeCompare(String(b.model)));
+        wings = allWings.filter(w => !w.deletedAt);
+        trashedWings = allWings.filter(w => w.deletedAt);
+        renderWings();
+        renderTrash();
+        updateStats();
+        renderQualityReport();
+        renderPublishStatus();
+        if (remote) {
+            warnIfEditedWingChanged(payload, kind);
+            if (kind !== 'delete') highlightRemoteChange('.wing-drag-item, .wing-row', payload.$id);
+        }
+    } else if (payload.$collectionId === CATALOG_COLLECTION_ID) {
+        catalogVersion = kind === 'delete' ? null : payload;
+        renderPublishStatus();
+    } else if (payload.bucketId === WING_IMAGES_BUCKET_ID) {
+        // A file re-created under the same id must not be served from the browser cache
+        imageVersions[payload.$id] = Date.now();
+        renderWings();
+        // The report keeps its checked files: only its summary flags it as outdated
+        if (remote && imageReport && !imageReport.stale) {
+            imageReport.stale = true;
+            renderImageReportSummary();
+        }
+    }
+}
+
+// Offline changes still pending on this device stay on top of the server version
+function mergeRealtimeDocument(collectionId, documents, payload, kind) {
+    const others = documents.filter(doc => doc.$id !== payload.$id);
+    const pending = pendingChanges.filter(c => c.collectionId === collectionId && c.id === payload.$id);
+    return [...others, ...applyChanges(kind === 'delete' ? [] : [payload], pending).map(applyDraft)];
+}
+
+function highlightRemoteChange(selector, id) {
+    document.querySelectorAll(selector).forEach(el => {
+        if (el.dataset.id !== id) return;
+        el.classList.remove('remote-changed');
+        void el.offsetWidth; // restart the animation
+        el.classList.add('remote-changed');
+    });
+}
+
+function warnIfEditedWingChanged(payload, kind) {
+    const modalOpen = document.getElementById('wing-modal').classList.contains('show');
+    if (!modalOpen || document.getElementById('wing-id').value !== payload.$id) return;
+
+    const warning = document.getElementById('wing-remote-warning');
+    const removed = kind === 'delete' || payload.deletedAt;
+    warning.querySelector('span').textContent = removed
+        ? t('Cette voile vient d\'être supprimée par un autre administrateur.')
+        : t('Cette voile vient d\'être modifiée par un autre administrateur. Enregistrer écrasera ses changements.');
+    warning.querySelector('button').classList.toggle('d-none', !!removed);
+    warning.classList.remove('d-none');
+}
+
+function reloadWingForm() {
+    const id = document.getElementById('wing-id').value;
+    if (wings.some(w => w.$id === id)) editWing(id);
+}
+
+// Draft / publish: the app only sees published documents with their live fields.
+// Edits to a published document are kept in its `draft` until "Publier" applies them.
+const DRAFT_COLLECTIONS = [MANUFACTURERS_COLLECTION_ID, WINGS_COLLECTION_ID];
+const APP_LIMITS = { manufacturers: 100, wings: 500 }; // page sizes of WingLibraryService
+
+// Admin view of a document: live fields overlaid with its draft ($live keeps the app's version)
+function applyDraft(doc) {
+    let draft = {};
+    if (doc.draft) {
+        try {
+            draft = JSON.parse(doc.draft);
+        } catch (e) {
+            console.warn(`Invalid draft on document ${doc.$id}`);
+        }
+    }
+    return { ...doc, ...draft, $draft: draft, $live: doc };
+}
+
+// Documents created before the draft workflow have no `published` attribute and are live
+function isPublished(doc) {
+    return doc.published !== false;
+}
+
+function hasDraftChanges(doc) {
+    return Object.keys(doc.$draft || {}).length > 0;
+}
+
+function isVisibleInApp(doc) {
+    return !!doc && isPublished(doc) && !(doc.$live || doc).deletedAt;
+}
+
+function setManufacturers(all) {
+    manufacturers = all.filter(m => !m.deletedAt);
+    manufacturersPendingDeletion = all.filter(m => m.deletedAt);
+}
+
+// Turns an update of a published document into an update of its draft.
+// Values set back to the live ones leave the draft, so an undo empties it.
+function toDraftWrite(collectionId, id, data) {
+    if (!DRAFT_COLLECTIONS.includes(collectionId)) return data;
+    const doc = findLocalDocument(collectionId, id);
+    if (!doc || !isPublished(doc)) return data;
+
+    const live = doc.$live || doc;
+    const draft = { ...doc.$draft };
+    Object.entries(data).forEach(([field, value]) => {
+        if (isSameValue(value, live[field])) {
+            delete draft[field];
+        } else {
+            draft[field] = value;
+        }
+    });
+    // Successive writes before the next reload build on each other
+    doc.$draft = draft;
+    return { draft: Object.keys(draft).length > 0 ? JSON.stringify(draft) : null };
+}
+
+const PUBLISH_CHANGE_LABELS = {
+    new: { label: 'Nouveau', badge: 'bg-success' },
+    changed: { label: 'Modifié', badge: 'bg-primary' },
+    removed: { label: 'Retiré', badge: 'bg-danger' },
+    legacy: { label: 'Marquer publié', badge: 'bg-secondary' }
+};
+
+// Live documents created before the draft workflow have no `published` value yet
+function lacksPublishedFlag(doc) {
+    return typeof (doc.$live || doc).published !== 'boolean';
+}
+
+function getPublishChange(doc) {
+    if (!isPublished(doc)) return doc.deletedAt ? null : 'new';
+    if (!hasDraftChanges(doc)) return lacksPublishedFlag(doc) && !(doc.$live || doc).deletedAt ? 'legacy' : null;
+    return doc.deletedAt && !doc.$live.deletedAt ? 'removed' : 'changed';
+}
+
+function renderPublishBadge(doc) {
+    const change = getPublishChange(doc);
+    // Legacy documents already show in the app: only the publish modal lists them
+    if (!change || change === 'legacy') return '';
+    const { label, badge } = PUBLISH_CHANGE_LABELS[change];
+    return `<span class="badge ${badge}" title="${t('En attente de publication')}">${t(label)}</span>`;
+}
+
+function getUnpublishedChanges() {
+    const entries = [
+        ...[...manufacturers, ...manufacturersPendingDeletion].map(doc => ({ collectionId: MANUFACTURERS_COLLECTION_ID, doc, name: doc.name })),
+        ...[...wings, ...trashedWings].map(doc => ({ collectionId: WINGS_COLLECTION_ID, doc, name: `${getManufacturerName(doc.manufacturerId)} ${doc.model}` }))
+    ];
+    return entries
+        .map(entry => ({ ...entry, change: getPublishChange(entry.doc) }))
+        .filter(entry => entry.change);
+}
+
+// Problems that would reach the app: invalid documents and wings left without a manufacturer
+function getPublishIssues(changes) {
+    const issues = [];
+    changes.filter(({ change }) => change === 'new' || change === 'changed').forEach(({ collectionId, doc, name }) => {
+        const problems = collectionId === MANUFACTURERS_COLLECTION_ID ? validateManufacturerData(doc) : validateWingData(doc);
+        if (problems.length > 0) issues.push(`${name}: ${formatValidationIssues(problems)}`);
+    });
+    manufacturersPendingDeletion.forEach(m => {
+        const count = [...wings, ...trashedWings].filter(w => w.manufacturerId === m.$id).length;
+        if (count > 0) issues.push(t('{name}: {count} voile(s) encore rattachée(s)', { name: m.name, count }));
+    });
+    return issues;
+}
+
+async function loadCatalogVersion() {
+    try {
+        catalogVersion = await databases.getDocument(DATABASE_ID, CATALOG_COLLECTION_ID, CATALOG_VERSION_DOCUMENT_ID).catch(ignoreNotFound);
+    } catch (error) {
+        console.warn('Could not load catalog version:', error.message);
+    }
+}
+
+function renderPublishStatus() {
+    const count = getUnpublishedChanges().length;
+    document.getElementById('publish-count').textContent = count || '';
+    document.getElementById('publish-status').textContent = catalogVersion
+        ? t('Version {version} publiée le {date}', { version: catalogVersion.version, date: new Date(catalogVersion.publishedAt).toLocaleString(getLocale()) })
+        : t('Jamais publié');
+}
+
+function showPublishModal() {
+    if (!requirePermission('publish')) return;
+    const changes = getUnpublishedChanges();
+    const issues = getPublishIssues(changes);
+
+    document.getElementById('publish-issues').innerHTML = issues.length === 0 ? '' : `
+        <div class="alert alert-danger small">
+            ${t('<strong>Publication bloquée</strong>, corrigez d\'abord:')}
+            <ul class="mb-0">${issues.map(issue => `<li>${escapeHtml(issue)}</li>`).join('')}</ul>
+        </div>
+    `;
+    document.getElementById('publish-changes').innerHTML = changes.length === 0
+        ? `<tr><td colspan="3" class="text-center text-muted py-3">${t('Aucune modification à publier')}</td></tr>`
+        : changes.map(({ collectionId, doc, name, change }) => `
+            <tr>
+                <td><span class="badge ${PUBLISH_CHANGE_LABELS[change].badge}">${t(PUBLISH_CHANGE_LABELS[change].label)}</span></td>
+                <td>
+                    <strong>${escapeHtml(name)}</strong>
+                    <div class="small text-muted">${escapeHtml(t(AUDIT_COLLECTION_LABELS[collectionId]))} · <code>${escapeHtml(doc.$id)}</code></div>
+                </td>
+                <td class="small text-muted">${change === 'changed' ? escapeHtml(Object.keys(doc.$draft).join(', ')) : ''}</td>
+            </tr>
+        `).join('');
+    document.getElementById('confirm-publish-btn').disabled = changes.length === 0 || issues.length > 0;
+    publishModal.show();
+}
+
+// Publication order keeps the live catalogue consistent at every step:
+// manufacturers first, then wings, then the manufacturers they no longer use
+async function publishCatalog() {
+    if (!requirePermission('publish')) return;
+    if (!isCatalogComplete()) {
+        showToast(t('Catalogue incomplet: rechargez avant de publier'), 'warning');
+        return;
+    }
+    if (isOffline()) {
+        showToast(t('Connexion requise pour publier'), 'warning');
         return;
     }
 
-    container.innerHTML = filteredWings.map(w => {
-        const manufacturer = manufacturers.find(m => m.$id === w.manufacturerId);
-        const manufacturerName = manufacturer ? manufacturer.name : w.manufacturerId;
-        const imageUrl = w.imageFileId
-            ? `${APPWRITE_ENDPOINT}/storage/buckets/${WING_IMAGES_BUCKET_ID}/files/${w.imageFileId}/view?project=${APPWRITE_PROJECT_ID}`
-            : '';
+    const changes = getUnpublishedChanges();
+    if (changes.length === 0 || getPublishIssues(changes).length > 0) return;
+
+    const btn = document.getElementById('confirm-publish-btn');
+    btn.classList.add('loading');
+    btn.disabled = true;
+
+    const rank = ({ collectionId, change }) => collectionId === WINGS_COLLECTION_ID ? 1 : (change === 'removed' ? 2 : 0);
+    const ordered = [...changes].sort((a, b) => rank(a) - rank(b));
+    const failures = [];
+
+    for (const { collectionId, doc, name, change } of ordered) {
+        const removeManufacturer = collectionId === MANUFACTURERS_COLLECTION_ID && change === 'removed';
+        let data = change === 'new' || change === 'legacy' ? { published: true } : { ...doc.$draft, draft: null };
+        if (change === 'changed' && lacksPublishedFlag(doc)) data = { ...data, published: true };
+        try {
+            await writeDocument(removeManufacturer ? 'delete' : 'update', collectionId, doc.$id, removeManufacturer ? null : data, t('Publication de {name}', { name }),
+                () => removeManufacturer
+                    ? databases.deleteDocument(DATABASE_ID, collectionId, doc.$id).catch(ignoreNotFound)
+                    : databases.updateDocument(DATABASE_ID, collectionId, doc.$id, data));
+            if (removeManufacturer) await deleteUnusedManufacturerLogos(doc);
+        } catch (error) {
+            failures.push(`${name}: ${error.message}`);
+        }
+    }
+
+    // Whatever went live is announced to the app, even after a partial failure
+    if (failures.length < ordered.length) {
+        await bumpCatalogVersion(ordered.length - failures.length);
+    }
+
+    btn.classList.remove('loading');
+    publishModal.hide();
+    if (failures.length > 0) {
+        showToast(t('Publication: {done} / {total} réussies. {failures}', { done: ordered.length - failures.length, total: ordered.length, failures: failures.join(' ; ') }), 'warning');
+    } else {
+        showToast(t('Catalogue publié: version {version}', { version: catalogVersion.version }), 'success');
+    }
+    await loadData();
+}
+
+async function bumpCatalogVersion(changeCount) {
+    const previous = catalogVersion ? catalogVersion.version : 0;
+    const appCatalog = buildAppCatalog('next');
+    const data = {
+        version: previous + 1,
+        // The admin's clock, for display only: the app compares `version`
+        publishedAt: new Date().toISOString(),
+        publishedBy: currentUser ? currentUser.email : '',
+        manufacturerCount: appCatalog.manufacturers.length,
+        wingCount: appCatalog.wings.length
+    };
+    const write = catalogVersion ? queueUpdateDocument : queueCreateDocument;
+    catalogVersion = { ...catalogVersion, ...await write(CATALOG_COLLECTION_ID, CATALOG_VERSION_DOCUMENT_ID, data, t('Version du catalogue')) };
+    await recordAudit('publish', CATALOG_COLLECTION_ID, CATALOG_VERSION_DOCUMENT_ID, { version: previous }, { version: data.version, changes: changeCount });
+}
+
+// Catalogue as WingLibraryService builds it: 'live' is what the app shows now,
+// 'next' what it will show after "Publier"
+function buildAppCatalog(mode) {
+    const version = doc => mode === 'live' ? doc.$live : doc;
+    const inApp = doc => mode === 'live' ? isPublished(doc) : !doc.deletedAt;
+    const appManufacturers = [...manufacturers, ...manufacturersPendingDeletion]
+        .filter(inApp)
+        .map(version)
+        .sort((a, b) => (a.displayOrder || 0) - (b.displayOrder || 0));
+    const names = new Map(appManufacturers.map(m => [m.$id, m.name]));
+    const appWings = [...wings, ...trashedWings]
+        .filter(w => mode === 'live' ? isVisibleInApp(w) : !w.deletedAt)
+        .map(version)
+        .sort((a, b) => (a.displayOrder || 0) - (b.displayOrder || 0) || String(a.model).localeCompare(String(b.model)))
+        .map(w => ({ ...w, fullName: `${names.get(w.manufacturerId) || ''} ${w.model}` }));
+    return { manufacturers: appManufacturers, wings: appWings };
+}
+
+function showCatalogPreview() {
+    renderCatalogPreview();
+    previewModal.show();
+}
 
+function renderCatalogPreview() {
+    const mode = document.querySelector('input[name="preview-mode"]:checked').value;
+    const catalog = buildAppCatalog(mode);
+    const container = document.getElementById('preview-catalog');
+
+    // The app pages are filtered server-side, so only the documents it shows count
+    const truncated = Object.keys(APP_LIMITS).filter(key => catalog[key].length > APP_LIMITS[key]);
+
+    document.getElementById('preview-summary').innerHTML = `
+        <span class="badge bg-secondary me-1">${t('{count} fabricant(s)', { count: catalog.manufacturers.length })}</span>
+        <span class="badge bg-secondary me-1">${t('{count} voile(s)', { count: catalog.wings.length })}</span>
+        ${truncated.map(key => `<span class="badge bg-danger me-1">${t(key === 'wings' ? 'L\'app ne lit que {count} voiles' : 'L\'app ne lit que {count} fabricants', { count: APP_LIMITS[key] })}</span>`).join('')}
+    `;
+
+    container.innerHTML = catalog.manufacturers.map(m => {
+        const manufacturerWings = catalog.wings.filter(w => w.manufacturerId === m.$id);
         return `
-            <div class="col-6 col-md-4 col-lg-3 col-xl-2 wing-drag-item"
-                 draggable="true"
-                 data-id="${w.$id}"
-                 ondragstart="handleWingDragStart(event, '${w.$id}')"
-                 ondragover="handleWingDragOver(event)"
-                 ondragenter="handleWingDragEnter(event)"
-                 ondragleave="handleWingDragLeave(event)"
-                 ondrop="handleWingDrop(event, '${w.$id}')"
-                 ondragend="handleWingDragEnd(event)">
-                <div class="wing-card card">
-                    <div class="wing-card-image">
-                        <div class="wing-drag-handle" title="Glisser pour réordonner">
-                            <i class="bi bi-grip-vertical"></i>
+            <div class="mb-3">
+                <div class="wing-card-manufacturer mb-1">${renderManufacturerLogo(m, 'manufacturer-logo-inline')}${escapeHtml(m.name)} <span class="text-muted">(${manufacturerWings.length})</span></div>
+                ${manufacturerWings.map(w => `
+                    <div class="d-flex align-items-center gap-3 py-1 border-bottom">
+                        ${w.imageFileId
+                            ? `<img src="${escapeHtml(getWingImageUrl(w.imageFileId))}" class="table-wing-image" alt="">`
+                            : '<div class="table-wing-image d-flex align-items-center justify-content-center text-muted"><i class="bi bi-image"></i></div>'}
+                        <div>
+                            <div><strong>${escapeHtml(w.fullName)}</strong></div>
+                            <div class="small text-muted">${escapeHtml([getWingTypeLabel(w), (w.sizes || []).join(' · '), w.year].filter(v => v).join(' — '))}</div>
                         </div>
-                        ${imageUrl
-                            ? `<img src="${imageUrl}" alt="${w.model}">`
-                            : `<i class="bi bi-image text-muted" style="font-size: 2rem; opacity: 0.3;"></i>`}
-                    </div>
-                    <div class="wing-card-body">
-                        <div class="wing-card-manufacturer">${manufacturerName}</div>
-                        <div class="wing-card-model">${w.model}</div>
-                        <span class="wing-card-type">${w.type}</span>
-                        <div class="wing-card-sizes">
-                            ${(w.sizes || []).map(s => `<span class="size-chip">${s}</span>`).join('')}
-                        </div>
-                    </div>
-                    <div class="wing-card-actions">
-                        <button class="btn btn-outline-secondary" onclick="duplicateWing('${w.$id}')" title="Dupliquer">
-                            <i class="bi bi-copy"></i>
-                        </button>
-                        <button class="btn btn-outline-primary" onclick="editWing('${w.$id}')" title="Modifier">
-                            <i class="bi bi-pencil"></i>
-                        </button>
-                        <button class="btn btn-outline-danger" onclick="confirmDeleteWing('${w.$id}', '${manufacturerName} ${w.model}')" title="Supprimer">
-                            <i class="bi bi-trash"></i>
-                        </button>
                     </div>
+                `).join('') || `<div class="small text-muted">${t('Aucune voile')}</div>`}
+            </div>
+        `;
+    }).join('') || `<div class="text-center text-muted py-4">${t('Catalogue vide')}</div>`;
+}
+
+// Data loading
+async function loadData() {
+    try {
+        await Promise.all([loadManufacturers(), loadWings(), loadCatalogVersion()]);
+        updateStats();
+        updateManufacturerSelects();
+        renderPublishStatus();
+    } catch (error) {
+        showToast(t('Erreur de chargement: {message}', { message: error.message }), 'danger');
+    }
+}
+
+async function loadManufacturers() {
+    setManufacturers(applyPendingChanges(MANUFACTURERS_COLLECTION_ID, await loadCollection(
+        'manufacturers',
+        MANUFACTURERS_COLLECTION_ID,
+        [Appwrite.Query.orderAsc('displayOrder')]
+    )).map(applyDraft));
+    renderManufacturers();
+    renderPublishedFlagMigration();
+    renderQualityReport();
+}
+
+async function loadWings() {
+    const allWings = applyPendingChanges(WINGS_COLLECTION_ID, await loadCollection(
+        'wings',
+        WINGS_COLLECTION_ID,
+        [Appwrite.Query.orderAsc('displayOrder'), Appwrite.Query.orderAsc('model')]
+    )).map(applyDraft);
+    wings = allWings.filter(w => !w.deletedAt);
+    trashedWings = allWings.filter(w => w.deletedAt);
+    renderWings();
+    renderTrash();
+    renderTypeMigration();
+    renderPublishedFlagMigration();
+    renderQualityReport();
+}
+
+// Appwrite caps each page, so whole collections are walked with a cursor.
+// A failure after the first page keeps what was loaded and flags it incomplete.
+async function listAllDocuments(key, collectionId, queries) {
+    const status = loadStatus[key];
+    const documents = [];
+    status.loading = true;
+    status.loaded = 0;
+    status.complete = false;
+    renderLoadBanner();
+
+    try {
+        while (true) {
+            const pageQueries = [...queries, Appwrite.Query.limit(PAGE_SIZE)];
+            if (documents.length > 0) {
+                pageQueries.push(Appwrite.Query.cursorAfter(documents[documents.length - 1].$id));
+            }
+
+            const response = await databases.listDocuments(DATABASE_ID, collectionId, pageQueries);
+            documents.push(...response.documents);
+            status.loaded = documents.length;
+            status.total = response.total;
+            renderLoadBanner();
+
+            if (response.documents.length < PAGE_SIZE) break;
+        }
+        status.complete = documents.length >= status.total;
+    } catch (error) {
+        if (documents.length === 0) {
+            status.complete = true;
+            throw error;
+        }
+        console.error(`Incomplete load of ${collectionId}:`, error);
+    } finally {
+        status.loading = false;
+        renderLoadBanner();
+    }
+
+    return documents;
+}
+
+function isCatalogComplete() {
+    return loadStatus.manufacturers.complete && loadStatus.wings.complete;
+}
+
+function renderLoadBanner() {
+    const banner = document.getElementById('load-banner');
+    const { manufacturers: m, wings: w } = loadStatus;
+
+    if (m.loading || w.loading) {
+        const loaded = m.loaded + w.loaded;
+        const total = m.total + w.total;
+        const percent = total > 0 ? Math.round(loaded / total * 100) : 0;
+        banner.innerHTML = `
+            <div class="alert alert-light d-flex align-items-center gap-3 mb-4">
+                <span class="spinner-border spinner-border-sm text-primary"></span>
+                <span class="text-muted">${t('Chargement du catalogue... {wings} voiles, {manufacturers} fabricants', { wings: w.loaded, manufacturers: m.loaded })}</span>
+                <div class="progress flex-grow-1" style="height: 6px;">
+                    <div class="progress-bar" style="width: ${percent}%;"></div>
                 </div>
             </div>
         `;
-    }).join('');
+        return;
+    }
+
+    if (!isCatalogComplete()) {
+        const details = [
+            !m.complete ? t('{loaded} / {total} fabricants', m) : '',
+            !w.complete ? t('{loaded} / {total} voiles', w) : ''
+        ].filter(d => d).join(', ');
+        banner.innerHTML = `
+            <div class="alert alert-warning d-flex align-items-center gap-3 mb-4">
+                <i class="bi bi-exclamation-triangle"></i>
+                <span class="flex-grow-1">
+                    ${t('Chargement incomplet ({details}). Le réordonnancement est désactivé pour ne pas écrire un ordre erroné.', { details })}
+                </span>
+                <button class="btn btn-sm btn-outline-dark" data-action="reload">
+                    <i class="bi bi-arrow-clockwise me-1"></i> ${t('Réessayer')}
+                </button>
+            </div>
+        `;
+        return;
+    }
+
+    if (syncState.cacheSavedAt) {
+        banner.innerHTML = `
+            <div class="alert alert-secondary d-flex align-items-center gap-3 mb-4">
+                <i class="bi bi-cloud-slash"></i>
+                <span class="flex-grow-1">
+                    ${t('Hors ligne: catalogue local du {date}.', { date: escapeHtml(new Date(syncState.cacheSavedAt).toLocaleString(getLocale())) })}
+                    ${t('Les modifications sont enregistrées sur cet appareil et seront synchronisées au retour de la connexion.')}
+                </span>
+            </div>
+        `;
+        return;
+    }
+
+    banner.innerHTML = '';
 }
 
-function renderWingsTable(filteredWings) {
-    const tbody = document.getElementById('wings-table');
+// View mode toggle
+function setViewMode(mode) {
+    viewMode = mode;
+    document.getElementById('view-cards').classList.toggle('active', mode === 'cards');
+    document.getElementById('view-list').classList.toggle('active', mode === 'list');
+    document.getElementById('wings-cards').style.display = mode === 'cards' ? 'flex' : 'none';
+    document.getElementById('wings-list').style.display = mode === 'list' ? 'block' : 'none';
+    renderWings();
+}
 
-    if (filteredWings.length === 0) {
-        tbody.innerHTML = '<tr><td colspan="6" class="text-center text-muted py-5">Aucune voile</td></tr>';
+// Render functions
+function renderManufacturers() {
+    const container = document.getElementById('manufacturers-container');
+
+    if (manufacturers.length === 0) {
+        container.innerHTML = `<tr><td colspan="5" class="text-center text-muted py-4">${t('Aucun fabricant')}</td></tr>`;
         return;
     }
 
-    tbody.innerHTML = filteredWings.map(w => {
-        const manufacturer = manufacturers.find(m => m.$id === w.manufacturerId);
-        const manufacturerName = manufacturer ? manufacturer.name : w.manufacturerId;
-        const imageUrl = w.imageFileId
-            ? `${APPWRITE_ENDPOINT}/storage/buckets/${WING_IMAGES_BUCKET_ID}/files/${w.imageFileId}/view?project=${APPWRITE_PROJECT_ID}`
-            : '';
+    container.innerHTML = manufacturers.map((m, index) => {
+        const wingCount = wings.filter(w => w.manufacturerId === m.$id).length;
+        const id = escapeHtml(m.$id);
+        return `
+            <tr class="manufacturer-drag-item"
+                draggable="${can('reorder')}"
+                data-id="${id}"
+                data-index="${index}">
+                <td class="drag-handle text-center text-muted" style="cursor: grab;" title="${t('Glisser pour réordonner')}" data-requires="reorder">
+                    <i class="bi bi-grip-vertical"></i>
+                </td>
+                <td>
+                    <div class="d-flex align-items-center gap-2">
+                        ${renderManufacturerLogo(m, 'manufacturer-logo')}
+                        <div>
+                            <strong>${escapeHtml(m.name)}</strong> ${renderPublishBadge(m)}
+                            ${m.defunct ? `<span class="badge bg-dark">${t('Disparu')}</span>` : ''}
+                            <div class="small text-muted">${renderManufacturerDetails(m)}</div>
+                        </div>
+                    </div>
+                </td>
+                <td><code class="text-muted">${id}</code></td>
+                <td><span class="badge bg-secondary">${wingCount}</span></td>
+                <td>
+                    <button class="btn btn-sm btn-outline-primary me-1" data-action="edit-manufacturer" data-id="${id}" data-requires="edit" title="${t('Modifier')}">
+                        <i class="bi bi-pencil"></i>
+                    </button>
+                    <button class="btn btn-sm btn-outline-danger" data-action="delete-manufacturer" data-id="${id}" data-requires="delete" title="${t('Supprimer')}">
+                        <i class="bi bi-trash"></i>
+                    </button>
+                </td>
+            </tr>
+        `;
+    }).join('');
+}
+
+function getManufacturerLogoUrl(fileId) {
+    if (!fileId) return '';
+    return `${APPWRITE_ENDPOINT}/storage/buckets/${MANUFACTURER_LOGOS_BUCKET_ID}/files/${encodeURIComponent(fileId)}/view?project=${APPWRITE_PROJECT_ID}`;
+}
+
+function renderManufacturerLogo(m, className) {
+    return m && m.logoFileId
+        ? `<img src="${escapeHtml(getManufacturerLogoUrl(m.logoFileId))}" class="${className}" alt="">`
+        : '';
+}
+
+function renderManufacturerDetails(m) {
+    const parts = [];
+    if (m.country) parts.push(escapeHtml(m.country));
+    if (m.website) {
+        // Documents written outside the editor may hold any scheme: only http(s) becomes a link
+        const label = escapeHtml(m.website.replace(/^https?:\/\//, '').replace(/\/$/, ''));
+        parts.push(isWebUrl(m.website) ? `<a href="${escapeHtml(m.website)}" target="_blank" rel="noopener">${label}</a>` : label);
+    }
+    if (m.description) parts.push(`<span title="${escapeHtml(m.description)}">${escapeHtml(truncateText(m.description, 60))}</span>`);
+    return parts.join(' · ');
+}
+
+function isWebUrl(value) {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch (e) {
+        return false;
+    }
+}
+
+function truncateText(text, length) {
+    return text.length > length ? text.slice(0, length - 1).trimEnd() + '…' : text;
+}
+
+// Drag & Drop for manufacturers
+function handleManufacturerDragStart(e) {
+    const item = e.target.closest('.manufacturer-drag-item');
+    if (!item) return;
+    const id = item.dataset.id;
+    draggedManufacturerId = id;
+    item.classList.add('dragging');
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', id);
+}
+
+function handleManufacturerDragOver(e) {
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+}
+
+function handleManufacturerDragEnter(e) {
+    e.preventDefault();
+    const item = e.target.closest('.manufacturer-drag-item');
+    if (item && item.dataset.id !== draggedManufacturerId) {
+        item.classList.add('drag-over');
+    }
+}
+
+function handleManufacturerDragLeave(e) {
+    const item = e.target.closest('.manufacturer-drag-item');
+    if (item) {
+        item.classList.remove('drag-over');
+    }
+}
+
+function handleManufacturerDragEnd(e) {
+    draggedManufacturerId = null;
+    document.querySelectorAll('.manufacturer-drag-item').forEach(el => {
+        el.classList.remove('dragging', 'drag-over');
+    });
+}
+
+async function handleManufacturerDrop(e) {
+    e.preventDefault();
+
+    const item = e.target.closest('.manufacturer-drag-item');
+    if (!item) return;
+    item.classList.remove('drag-over');
+    const targetId = item.dataset.id;
+
+    if (!draggedManufacturerId || draggedManufacturerId === targetId) return;
+    if (!requirePermission('reorder')) return;
+
+    if (!isCatalogComplete()) {
+        showToast(t('Catalogue incomplet: rechargez avant de réordonner'), 'warning');
+        return;
+    }
+
+    // Find indices
+    const draggedIndex = manufacturers.findIndex(m => m.$id === draggedManufacturerId);
+    const targetIndex = manufacturers.findIndex(m => m.$id === targetId);
+
+    if (draggedIndex === -1 || targetIndex === -1) return;
+
+    // Calculate which items need updating (only those between source and target)
+    const minIndex = Math.min(draggedIndex, targetIndex);
+    const maxIndex = Math.max(draggedIndex, targetIndex);
+
+    // Reorder locally first for instant feedback
+    const [draggedItem] = manufacturers.splice(draggedIndex, 1);
+    manufacturers.splice(targetIndex, 0, draggedItem);
+
+    // Only update items that changed position (between min and max)
+    const updates = [];
+    for (let i = minIndex; i <= maxIndex; i++) {
+        const m = manufacturers[i];
+        if (m.displayOrder !== i) {
+            updates.push({ id: m.$id, displayOrder: i, previousOrder: m.displayOrder });
+        }
+    }
+
+    // Update local state
+    updates.forEach(u => {
+        const mfr = manufacturers.find(m => m.$id === u.id);
+        if (mfr) mfr.displayOrder = u.displayOrder;
+    });
+
+    // Re-render immediately
+    renderManufacturers();
+
+    // Save to database - only changed items, through the write queue
+    if (updates.length > 0) {
+        const { succeeded, failed } = await runQueuedWrites(updates, u =>
+            queueUpdateDocument(MANUFACTURERS_COLLECTION_ID, u.id, { displayOrder: u.displayOrder }, t('Ordre de {name}', { name: getManufacturerName(u.id) }))
+        );
+        if (succeeded.length > 0) {
+            await recordReorderAudit(MANUFACTURERS_COLLECTION_ID, draggedItem.$id, succeeded);
+        }
+
+        if (failed.length === 0) {
+            showToast(t('Ordre mis à jour'), 'success', {
+                label: t('Annuler'),
+                handler: () => undoReorder(MANUFACTURERS_COLLECTION_ID, draggedItem.$id, updates)
+            });
+        } else {
+            reportWriteFailures(t('Réordonnancement des fabricants'), failed.length);
+            // Reload to get correct order
+            await loadManufacturers();
+        }
+    }
+}
+
+// Drag & Drop for wings
+function handleWingDragStart(e) {
+    const item = e.target.closest('.wing-drag-item');
+    if (!item) return;
+    const id = item.dataset.id;
+    draggedWingId = id;
+    item.classList.add('dragging');
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', id);
+}
+
+function handleWingDragOver(e) {
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+}
+
+function handleWingDragEnter(e) {
+    e.preventDefault();
+    const item = e.target.closest('.wing-drag-item');
+    if (item && item.dataset.id !== draggedWingId) {
+        item.classList.add('drag-over');
+    }
+}
+
+function handleWingDragLeave(e) {
+    const item = e.target.closest('.wing-drag-item');
+    if (item) {
+        item.classList.remove('drag-over');
+    }
+}
+
+function handleWingDragEnd() {
+    draggedWingId = null;
+    document.querySelectorAll('.wing-drag-item').forEach(el => {
+        el.classList.remove('dragging', 'drag-over');
+    });
+}
+
+async function handleWingDrop(e) {
+    e.preventDefault();
+
+    const item = e.target.closest('.wing-drag-item');
+    if (!item) return;
+    item.classList.remove('drag-over');
+    const targetId = item.dataset.id;
+
+    if (!draggedWingId || draggedWingId === targetId) return;
+    if (!requirePermission('reorder')) return;
+
+    if (!isCatalogComplete()) {
+        showToast(t('Catalogue incomplet: rechargez avant de réordonner'), 'warning');
+        return;
+    }
+
+    // Manual order is only meaningful on the unsorted, unsearched list
+    if (hasWingRefinements()) {
+        showToast(t('Réinitialisez la recherche, les filtres et le tri pour réordonner'), 'warning');
+        return;
+    }
+
+    // Get current filtered view
+    let currentWings = wingFilters.manufacturer
+        ? wings.filter(w => w.manufacturerId === wingFilters.manufacturer)
+        : [...wings];
+
+    // Find indices in filtered array
+    const draggedIndex = currentWings.findIndex(w => w.$id === draggedWingId);
+    const targetIndex = currentWings.findIndex(w => w.$id === targetId);
+
+    if (draggedIndex === -1 || targetIndex === -1) return;
+
+    // Calculate which items need updating (only those between source and target)
+    const minIndex = Math.min(draggedIndex, targetIndex);
+    const maxIndex = Math.max(draggedIndex, targetIndex);
+
+    // Reorder in filtered array
+    const [draggedItem] = currentWings.splice(draggedIndex, 1);
+    currentWings.splice(targetIndex, 0, draggedItem);
+
+    // Only update items that changed position (between min and max)
+    const updates = [];
+    for (let i = minIndex; i <= maxIndex; i++) {
+        const w = currentWings[i];
+        if (w.displayOrder !== i) {
+            updates.push({ id: w.$id, displayOrder: i, previousOrder: w.displayOrder });
+        }
+    }
+
+    // Update main wings array with new order
+    updates.forEach(u => {
+        const wing = wings.find(w => w.$id === u.id);
+        if (wing) wing.displayOrder = u.displayOrder;
+    });
+
+    // Sort wings array by displayOrder
+    wings.sort((a, b) => (a.displayOrder || 0) - (b.displayOrder || 0));
+
+    // Re-render immediately
+    renderWings();
+
+    // Save to database - only changed items, through the write queue
+    if (updates.length > 0) {
+        const { succeeded, failed } = await runQueuedWrites(updates, u => {
+            const wing = wings.find(w => w.$id === u.id);
+            return queueUpdateDocument(WINGS_COLLECTION_ID, u.id, { displayOrder: u.displayOrder }, t('Ordre de {name}', { name: wing ? wing.model : u.id }));
+        });
+        if (succeeded.length > 0) {
+            await recordReorderAudit(WINGS_COLLECTION_ID, draggedItem.$id, succeeded);
+        }
+
+        if (failed.length === 0) {
+            showToast(t('Ordre des voiles mis à jour'), 'success', {
+                label: t('Annuler'),
+                handler: () => undoReorder(WINGS_COLLECTION_ID, draggedItem.$id, updates)
+            });
+        } else {
+            reportWriteFailures(t('Réordonnancement des voiles'), failed.length);
+            // Reload to get correct order
+            await loadWings();
+        }
+    }
+}
+
+// Wing search, filters & sorting (state mirrored in the URL query string)
+const WING_FILTER_INPUTS = {
+    q: 'filter-search',
+    manufacturer: 'filter-manufacturer',
+    discipline: 'filter-discipline',
+    certification: 'filter-certification',
+    yearMin: 'filter-year-min',
+    yearMax: 'filter-year-max',
+    image: 'filter-image',
+    size: 'filter-size'
+};
+
+function initWingFilters() {
+    const disciplineSelect = document.getElementById('filter-discipline');
+    WING_DISCIPLINES.forEach(d => disciplineSelect.add(new Option(formatDiscipline(d), d)));
+    const certificationSelect = document.getElementById('filter-certification');
+    CERTIFICATION_CLASSES.forEach(c => certificationSelect.add(new Option(c, c)));
+    certificationSelect.add(new Option(t('Non homologuée'), 'none'));
+
+    readWingFiltersFromUrl();
+
+    for (const [key, inputId] of Object.entries(WING_FILTER_INPUTS)) {
+        const input = document.getElementById(inputId);
+        input.value = wingFilters[key];
+        input.addEventListener(input.tagName === 'SELECT' ? 'change' : 'input', handleWingFilterChange);
+    }
+
+    window.addEventListener('popstate', () => {
+        readWingFiltersFromUrl();
+        for (const [key, inputId] of Object.entries(WING_FILTER_INPUTS)) {
+            document.getElementById(inputId).value = wingFilters[key];
+        }
+        renderWings();
+    });
+}
+
+function readWingFiltersFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    for (const key of Object.keys(wingFilters)) {
+        wingFilters[key] = params.get(key) || '';
+    }
+
+    const sort = params.get('sort') || '';
+    wingSort = sort.startsWith('-')
+        ? { key: sort.slice(1), dir: 'desc' }
+        : { key: sort, dir: 'asc' };
+}
+
+function writeWingFiltersToUrl() {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(wingFilters)) {
+        if (value) params.set(key, value);
+    }
+    if (wingSort.key) {
+        params.set('sort', (wingSort.dir === 'desc' ? '-' : '') + wingSort.key);
+    }
+
+    const query = params.toString();
+    window.history.replaceState(null, '', window.location.pathname + (query ? '?' + query : '') + window.location.hash);
+}
+
+function handleWingFilterChange() {
+    for (const [key, inputId] of Object.entries(WING_FILTER_INPUTS)) {
+        wingFilters[key] = document.getElementById(inputId).value.trim();
+    }
+    writeWingFiltersToUrl();
+    renderWings();
+}
+
+// Native options can't show images: the hidden select stays the filter input (URL sync, reset)
+// and this dropdown mirrors it with the logos
+function renderManufacturerFilter() {
+    const selected = manufacturers.find(m => m.$id === wingFilters.manufacturer);
+    document.getElementById('filter-manufacturer-toggle').innerHTML = selected
+        ? `${renderManufacturerLogo(selected, 'manufacturer-logo-inline')}${escapeHtml(selected.name)}`
+        : t('Tous les fabricants');
+
+    const item = (id, label, logo) => `
+        <li>
+            <a class="dropdown-item d-flex align-items-center ${id === wingFilters.manufacturer ? 'active' : ''}" href="#" data-action="filter-manufacturer" data-id="${escapeHtml(id)}">
+                <span class="manufacturer-logo-slot">${logo}</span>${escapeHtml(label)}
+            </a>
+        </li>
+    `;
+    document.getElementById('filter-manufacturer-menu').innerHTML = [
+        item('', t('Tous les fabricants'), ''),
+        ...manufacturers.map(m => item(m.$id, m.name, renderManufacturerLogo(m, 'manufacturer-logo-inline')))
+    ].join('');
+}
+
+function setManufacturerFilter(id) {
+    document.getElementById('filter-manufacturer').value = id || '';
+    handleWingFilterChange();
+}
+
+function resetWingFilters() {
+    for (const [key, inputId] of Object.entries(WING_FILTER_INPUTS)) {
+        wingFilters[key] = '';
+        document.getElementById(inputId).value = '';
+    }
+    wingSort = { key: '', dir: 'asc' };
+    writeWingFiltersToUrl();
+    renderWings();
+}
+
+// Cycles ascending -> descending -> manual order
+function setWingSort(key) {
+    if (wingSort.key !== key) {
+        wingSort = { key, dir: 'asc' };
+    } else if (wingSort.dir === 'asc') {
+        wingSort = { key, dir: 'desc' };
+    } else {
+        wingSort = { key: '', dir: 'asc' };
+    }
+    writeWingFiltersToUrl();
+    renderWings();
+}
+
+// Anything beyond the manufacturer filter hides or reorders wings
+function hasWingRefinements() {
+    return Object.entries(wingFilters).some(([key, value]) => key !== 'manufacturer' && value) || !!wingSort.key;
+}
+
+function normalizeSearchText(text) {
+    return String(text || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+function getManufacturerName(manufacturerId) {
+    const manufacturer = manufacturers.find(m => m.$id === manufacturerId);
+    return manufacturer ? manufacturer.name : manufacturerId;
+}
+
+function getFilteredWings() {
+    const f = wingFilters;
+    const terms = normalizeSearchText(f.q).split(/\s+/).filter(t => t);
+    const yearMin = parseInt(f.yearMin) || null;
+    const yearMax = parseInt(f.yearMax) || null;
+    const size = normalizeSearchText(f.size);
+
+    const filtered = wings.filter(w => {
+        if (f.manufacturer && w.manufacturerId !== f.manufacturer) return false;
+        if (f.discipline && !getWingDisciplines(w).includes(f.discipline)) return false;
+        if (f.certification && (getWingCertification(w) || 'none') !== f.certification) return false;
+        if (yearMin && (!w.year || w.year < yearMin)) return false;
+        if (yearMax && (!w.year || w.year > yearMax)) return false;
+        if (f.image === 'with' && !w.imageFileId) return false;
+        if (f.image === 'without' && w.imageFileId) return false;
+        if (size && !(w.sizes || []).some(s => normalizeSearchText(s) === size)) return false;
+        if (terms.length > 0) {
+            const haystack = normalizeSearchText(`${getManufacturerName(w.manufacturerId)} ${w.model}`);
+            if (!terms.every(t => haystack.includes(t))) return false;
+        }
+        return true;
+    });
+
+    if (!wingSort.key) return filtered;
+
+    const sortValue = {
+        manufacturer: w => normalizeSearchText(getManufacturerName(w.manufacturerId)),
+        model: w => normalizeSearchText(w.model),
+        discipline: w => normalizeSearchText(getWingDisciplines(w).join(' ')),
+        certification: w => normalizeSearchText(getWingCertification(w)),
+        year: w => w.year || 0,
+        sizes: w => (w.sizes || []).length
+    }[wingSort.key];
+    if (!sortValue) return filtered;
+
+    const direction = wingSort.dir === 'desc' ? -1 : 1;
+    return [...filtered].sort((a, b) => {
+        const va = sortValue(a);
+        const vb = sortValue(b);
+        const cmp = typeof va === 'number' ? va - vb : va.localeCompare(vb);
+        return cmp * direction || (a.displayOrder || 0) - (b.displayOrder || 0);
+    });
+}
+
+function updateWingSortIndicators() {
+    document.querySelectorAll('#wings-list th[data-sort]').forEach(th => {
+        const icon = th.querySelector('.sort-indicator');
+        const active = th.dataset.sort === wingSort.key;
+        icon.className = 'sort-indicator bi ms-1 ' + (active
+            ? (wingSort.dir === 'asc' ? 'bi-caret-up-fill' : 'bi-caret-down-fill')
+            : 'bi-chevron-expand text-muted');
+    });
+}
+
+function renderWings() {
+    const filteredWings = getFilteredWings();
+    renderManufacturerFilter();
+
+    document.getElementById('wings-count').textContent = filteredWings.length === wings.length
+        ? t('{count} voiles', { count: wings.length })
+        : t('{visible} / {count} voiles', { visible: filteredWings.length, count: wings.length });
+
+    if (viewMode === 'cards') {
+        renderWingsCards(filteredWings);
+    } else {
+        renderWingsTable(filteredWings);
+    }
+    renderWingSelection();
+}
+
+function renderWingsCards(filteredWings) {
+    const container = document.getElementById('wings-cards');
+
+    if (filteredWings.length === 0) {
+        container.innerHTML = `
+            <div class="col-12">
+                <div class="empty-state">
+                    <i class="bi bi-wind"></i>
+                    <p>${t('Aucune voile')}</p>
+                </div>
+            </div>
+        `;
+        return;
+    }
+
+    container.innerHTML = filteredWings.map(w => {
+        const id = escapeHtml(w.$id);
+        const gallery = parseWingGallery(w);
+        const imageUrl = getWingImageUrl(gallery.length > 0 ? gallery[0].fileId : null);
+        const imageCount = gallery.length;
+
+        return `
+            <div class="col-6 col-md-4 col-lg-3 col-xl-2 wing-drag-item"
+                 draggable="${can('reorder')}"
+                 data-id="${id}">
+                <div class="wing-card card">
+                    <div class="wing-card-image">
+                        <div class="wing-drag-handle" title="${t('Glisser pour réordonner')}" data-requires="reorder">
+                            <i class="bi bi-grip-vertical"></i>
+                        </div>
+                        <input type="checkbox" class="form-check-input wing-select" data-action="toggle-wing-selection" data-id="${id}" data-requires="edit" title="${t('Sélectionner')}">
+                        ${w.discontinued ? `<span class="badge bg-dark wing-card-discontinued">${t('Arrêtée')}</span>` : ''}
+                        ${imageUrl
+                            ? `<img src="${escapeHtml(imageUrl)}" alt="${escapeHtml(w.model)}">`
+                            : `<i class="bi bi-image text-muted" style="font-size: 2rem; opacity: 0.3;"></i>`}
+                        ${imageCount > 1 ? `<span class="wing-card-gallery-count"><i class="bi bi-images me-1"></i>${imageCount}</span>` : ''}
+                    </div>
+                    <div class="wing-card-body">
+                        <div class="wing-card-manufacturer">${renderManufacturerLogo(manufacturers.find(m => m.$id === w.manufacturerId), 'manufacturer-logo-inline')}${escapeHtml(getManufacturerName(w.manufacturerId))}</div>
+                        <div class="wing-card-model">${escapeHtml(w.model)} ${renderPublishBadge(w)}</div>
+                        ${renderWingClassification(w, 'wing-card-type')}
+                        <div class="wing-card-sizes">
+                            ${renderSizeChips(w, false)}
+                        </div>
+                    </div>
+                    <div class="wing-card-actions">
+                        <button class="btn btn-outline-secondary" data-action="duplicate-wing" data-id="${id}" data-requires="edit" title="${t('Dupliquer')}">
+                            <i class="bi bi-copy"></i>
+                        </button>
+                        <button class="btn btn-outline-primary" data-action="edit-wing" data-id="${id}" data-requires="edit" title="${t('Modifier')}">
+                            <i class="bi bi-pencil"></i>
+                        </button>
+                        <button class="btn btn-outline-danger" data-action="delete-wing" data-id="${id}" data-requires="delete" title="${t('Supprimer')}">
+                            <i class="bi bi-trash"></i>
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+function renderWingsTable(filteredWings) {
+    const tbody = document.getElementById('wings-table');
+
+    if (filteredWings.length === 0) {
+        updateWingSortIndicators();
+        tbody.innerHTML = `<tr><td colspan="9" class="text-center text-muted py-5">${t('Aucune voile')}</td></tr>`;
+        return;
+    }
+
+    updateWingSortIndicators();
+
+    tbody.innerHTML = filteredWings.map(w => {
+        const id = escapeHtml(w.$id);
+        const imageUrl = getWingImageUrl(w.imageFileId);
+
+        return `
+            <tr class="wing-row" data-id="${id}">
+                <td data-requires="edit"><input type="checkbox" class="form-check-input wing-select" data-action="toggle-wing-selection" data-id="${id}"></td>
+                <td>
+                    ${imageUrl
+                        ? `<img src="${escapeHtml(imageUrl)}" class="table-wing-image" alt="${escapeHtml(w.model)}">`
+                        : '<span class="text-muted">-</span>'}
+                </td>
+                <td>${escapeHtml(getManufacturerName(w.manufacturerId))}</td>
+                <td><strong>${escapeHtml(w.model)}</strong>${w.discontinued ? ` <span class="badge bg-dark">${t('Arrêtée')}</span>` : ''} ${renderPublishBadge(w)}</td>
+                <td>${getWingDisciplines(w).map(d => `<span class="badge bg-secondary me-1">${escapeHtml(formatDiscipline(d))}</span>`).join('') || '<span class="text-muted">-</span>'}</td>
+                <td>${getWingCertification(w) ? `<span class="badge certification-badge">${escapeHtml(getWingCertification(w))}</span>` : '<span class="text-muted">-</span>'}</td>
+                <td>${w.year ? escapeHtml(w.year) : '<span class="text-muted">-</span>'}</td>
+                <td>${renderSizeChips(w, true)}</td>
+                <td>
+                    <button class="btn btn-sm btn-outline-secondary me-1" data-action="duplicate-wing" data-id="${id}" data-requires="edit" title="${t('Dupliquer')}">
+                        <i class="bi bi-copy"></i>
+                    </button>
+                    <button class="btn btn-sm btn-outline-primary me-1" data-action="edit-wing" data-id="${id}" data-requires="edit" title="${t('Modifier')}">
+                        <i class="bi bi-pencil"></i>
+                    </button>
+                    <button class="btn btn-sm btn-outline-danger" data-action="delete-wing" data-id="${id}" data-requires="delete" title="${t('Supprimer')}">
+                        <i class="bi bi-trash"></i>
+                    </button>
+                </td>
+            </tr>
+        `;
+    }).join('');
+}
+
+function updateStats() {
+    document.getElementById('stats-manufacturers').textContent = manufacturers.length;
+    document.getElementById('stats-wings').textContent = wings.length;
+    const imagesCount = wings.filter(w => w.imageFileId).length;
+    document.getElementById('stats-images').textContent = imagesCount;
+}
+
+function updateManufacturerSelects() {
+    const options = manufacturers.map(m => `<option value="${escapeHtml(m.$id)}">${escapeHtml(m.name)}</option>`).join('');
+
+    // Filter select (keep the current selection across reloads)
+    const filterSelect = document.getElementById('filter-manufacturer');
+    filterSelect.innerHTML = `<option value="">${t('Tous les fabricants')}</option>` + options;
+    filterSelect.value = wingFilters.manufacturer;
+
+    // Wing form select
+    const wingSelect = document.getElementById('wing-manufacturer');
+    wingSelect.innerHTML = `<option value="">${t('Sélectionner...')}</option>` + options;
+}
+
+// Optimistic concurrency: the edit modals remember the $updatedAt they were opened with.
+// On save, a newer remote version is diffed field by field against what we started from.
+// Linked attributes are resolved together so derived values never mix two versions.
+const CONCURRENCY_FIELD_GROUPS = {
+    [MANUFACTURERS_COLLECTION_ID]: [['name'], ['displayOrder'], ['logoFileId'], ['country'], ['website'], ['defunct'], ['description']],
+    [WINGS_COLLECTION_ID]: [
+        ['manufacturerId'],
+        ['model'],
+        ['type', 'typeLabels', 'disciplines', 'certification'],
+        ['sizes', 'sizeSpecs'],
+        ['imageFileId', 'gallery'],
+        ['year'],
+        ['discontinued'],
+        ['descriptions']
+    ]
+};
+
+let editingVersion = null; // { collectionId, id, updatedAt, original }
+let conflictResolver = null;
+
+function rememberEditingVersion(collectionId, doc, fields) {
+    editingVersion = doc
+        ? { collectionId, id: doc.$id, updatedAt: doc.$updatedAt, original: pickFields(doc, fields) }
+        : null;
+}
+
+// Resolves with the data to write (possibly reduced to a merge), or null to go back to the form
+async function resolveConcurrentEdit(collectionId, id, data, modal) {
+    if (!editingVersion || editingVersion.collectionId !== collectionId || editingVersion.id !== id) return data;
+    // Offline edits are checked against $updatedAt when they sync
+    if (isOffline()) return data;
+
+    const fetched = await databases.getDocument(DATABASE_ID, collectionId, id).catch(ignoreNotFound);
+    const remote = fetched && applyDraft(fetched);
+    if (!remote || (collectionId === MANUFACTURERS_COLLECTION_ID && remote.deletedAt)) {
+        throw new Error(t('le document a été supprimé entre-temps par un autre administrateur'));
+    }
+    if (remote.$updatedAt === editingVersion.updatedAt) return data;
+
+    // Our write rebuilds the whole draft, so it must start from theirs
+    const local = findLocalDocument(collectionId, id);
+    if (local) Object.assign(local, { $draft: remote.$draft, $live: remote.$live });
+
+    const groups = CONCURRENCY_FIELD_GROUPS[collectionId]
+        .map(fields => fields.filter(field => field in data))
+        .filter(fields => fields.length > 0)
+        .map(fields => {
+            const changed = (a, b) => fields.some(field => !isSameValue(a[field], b[field]));
+            return {
+                fields,
+                mine: changed(data, editingVersion.original),
+                theirs: changed(remote, editingVersion.original)
+            };
+        })
+        .filter(group => group.theirs);
+
+    // They only touched fields we left alone and vice versa: merge silently
+    if (groups.every(group => !group.mine)) {
+        showToast(t('La fiche avait été modifiée entre-temps: vos changements ont été fusionnés'), 'info');
+        return mergeConcurrentEdit(data, groups, []);
+    }
+
+    modal.hide();
+    renderConflict(remote, data, groups);
+    conflictModal.show();
+
+    const choice = await new Promise(resolve => {
+        conflictResolver = resolve;
+    });
+    conflictResolver = null;
+    conflictModal.hide();
+
+    if (!choice) {
+        modal.show();
+        return null;
+    }
+    if (choice === 'override') return data;
+    const keepMine = Array.from(document.querySelectorAll('#conflict-fields input:checked'))
+        .filter(input => input.value === 'mine')
+        .map(input => Number(input.dataset.group));
+    return mergeConcurrentEdit(data, groups, keepMine);
+}
+
+// Leaves out every group the other admin changed, unless we chose to keep ours
+function mergeConcurrentEdit(data, groups, keepMine) {
+    const merged = { ...data };
+    groups.forEach((group, index) => {
+        if (!keepMine.includes(index)) group.fields.forEach(field => delete merged[field]);
+    });
+    return merged;
+}
+
+function renderConflict(remote, data, groups) {
+    document.getElementById('conflict-summary').textContent =
+        t('Modifié le {date}, après l\'ouverture du formulaire.', { date: new Date(remote.$updatedAt).toLocaleString(getLocale()) });
+
+    const formatGroup = (source, fields) => fields
+        .map(field => `<div><code>${escapeHtml(field)}</code> ${escapeHtml(formatRestoreValue(source[field]))}</div>`)
+        .join('');
+
+    document.getElementById('conflict-fields').innerHTML = `
+        <table class="table table-sm align-middle mb-0">
+            <thead>
+                <tr>
+                    <th>${t('Avant')}</th>
+                    <th>${t('Leur version')}</th>
+                    <th>${t('Ma version')}</th>
+                    <th>${t('Garder')}</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${groups.map((group, index) => `
+                    <tr class="${group.mine ? 'table-warning' : ''}">
+                        <td class="small text-muted">${formatGroup(editingVersion.original, group.fields)}</td>
+                        <td class="small">${formatGroup(remote, group.fields)}</td>
+                        <td class="small">${group.mine ? formatGroup(data, group.fields) : `<span class="text-muted">${t('inchangé')}</span>`}</td>
+                        <td class="text-nowrap">
+                            <div class="form-check">
+                                <input class="form-check-input" type="radio" name="conflict-${index}" id="conflict-${index}-theirs" value="theirs" data-group="${index}" ${group.mine ? '' : 'checked'}>
+                                <label class="form-check-label small" for="conflict-${index}-theirs">${t('Leur version')}</label>
+                            </div>
+                            <div class="form-check">
+                                <input class="form-check-input" type="radio" name="conflict-${index}" id="conflict-${index}-mine" value="mine" data-group="${index}" ${group.mine ? 'checked' : 'disabled'}>
+                                <label class="form-check-label small" for="conflict-${index}-mine">${t('Ma version')}</label>
+                            </div>
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+function settleConflict(choice) {
+    if (conflictResolver) conflictResolver(choice);
+}
+
+// Manufacturer CRUD
+function showAddManufacturerModal() {
+    if (!requirePermission('edit')) return;
+    document.getElementById('manufacturer-modal-title').textContent = t('Ajouter un fabricant');
+    document.getElementById('manufacturer-id').value = '';
+    document.getElementById('manufacturer-name').value = '';
+    document.getElementById('manufacturer-order').value = manufacturers.length;
+    setManufacturerProfile(null);
+    rememberEditingVersion(MANUFACTURERS_COLLECTION_ID, null);
+    manufacturerModal.show();
+}
+
+function editManufacturer(id) {
+    if (!requirePermission('edit')) return;
+    const m = manufacturers.find(m => m.$id === id);
+    if (!m) return;
+
+    document.getElementById('manufacturer-modal-title').textContent = t('Modifier le fabricant');
+    document.getElementById('manufacturer-id').value = m.$id;
+    document.getElementById('manufacturer-name').value = m.name;
+    document.getElementById('manufacturer-order').value = m.displayOrder || 0;
+    setManufacturerProfile(m);
+    rememberEditingVersion(MANUFACTURERS_COLLECTION_ID, m, MANUFACTURER_FIELDS);
+    manufacturerModal.show();
+}
+
+function setManufacturerProfile(m) {
+    document.getElementById('manufacturer-country').value = (m && m.country) || '';
+    document.getElementById('manufacturer-website').value = (m && m.website) || '';
+    document.getElementById('manufacturer-defunct').checked = !!(m && m.defunct);
+    document.getElementById('manufacturer-description').value = (m && m.description) || '';
+    document.getElementById('manufacturer-logo').value = '';
+    setManufacturerLogo(m && m.logoFileId ? { fileId: m.logoFileId, previewUrl: getManufacturerLogoUrl(m.logoFileId) } : null);
+}
+
+function readManufacturerProfile() {
+    return {
+        country: document.getElementById('manufacturer-country').value.trim() || null,
+        website: document.getElementById('manufacturer-website').value.trim() || null,
+        defunct: document.getElementById('manufacturer-defunct').checked,
+        description: document.getElementById('manufacturer-description').value.trim() || null
+    };
+}
+
+function setManufacturerLogo(logo) {
+    if (manufacturerLogo && manufacturerLogo.source) URL.revokeObjectURL(manufacturerLogo.previewUrl);
+    manufacturerLogo = logo;
+
+    const preview = document.getElementById('manufacturer-logo-preview');
+    preview.innerHTML = logo
+        ? `<img src="${escapeHtml(logo.previewUrl)}" class="manufacturer-logo-large" alt="">`
+        : `<i class="bi bi-building text-muted"></i>`;
+    document.getElementById('remove-manufacturer-logo-btn').classList.toggle('d-none', !logo);
+}
+
+// Logos go through the wing image pipeline with fixed settings: a small transparent square
+const MANUFACTURER_LOGO_SETTINGS = { enabled: true, width: 256, height: 256, fit: 'contain', format: 'image/png', quality: 0.85, background: 'keep' };
+
+async function handleManufacturerLogoChange(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    try {
+        const result = await processWingImage(file, MANUFACTURER_LOGO_SETTINGS);
+        setManufacturerLogo({ source: file, blob: result.blob, previewUrl: URL.createObjectURL(result.blob) });
+    } catch (error) {
+        showToast(t('Traitement de l\'image impossible ({name}): {message}', { name: file.name, message: error.message }), 'danger');
+    }
+    e.target.value = '';
+}
+
+// Uploads a newly picked logo and returns the file id stored on the document
+async function uploadManufacturerLogo(manufacturerId) {
+    if (!manufacturerLogo) return null;
+    if (!manufacturerLogo.fileId) {
+        const file = new File([manufacturerLogo.blob], `${manufacturerId}.png`, { type: 'image/png' });
+        const response = await queueCreateFile(MANUFACTURER_LOGOS_BUCKET_ID, Appwrite.ID.unique(), file);
+        manufacturerLogo.fileId = response.$id;
+        manufacturerLogo.unsaved = true;
+    }
+    return manufacturerLogo.fileId;
+}
+
+// A logo uploaded by a save that did not go through is deleted; the picked image stays for a retry
+async function discardManufacturerLogoUpload() {
+    if (!manufacturerLogo || !manufacturerLogo.unsaved) return;
+    const fileId = manufacturerLogo.fileId;
+    Object.assign(manufacturerLogo, { fileId: null, unsaved: false });
+    try {
+        await queueDeleteFile(MANUFACTURER_LOGOS_BUCKET_ID, fileId);
+    } catch (e) {
+        // Ignore if file doesn't exist
+    }
+}
+
+// Deletes the logos of a manufacturer removed for good, unless another manufacturer uses them (merge)
+async function deleteUnusedManufacturerLogos(m, keptFileIds = []) {
+    const used = new Set([
+        ...keptFileIds,
+        ...[...manufacturers, ...manufacturersPendingDeletion]
+            .filter(other => other.$id !== m.$id)
+            .flatMap(other => [other.logoFileId, (other.$live || other).logoFileId])
+    ]);
+    for (const fileId of new Set([m.logoFileId, (m.$live || m).logoFileId])) {
+        if (!fileId || used.has(fileId)) continue;
+        try {
+            await queueDeleteFile(MANUFACTURER_LOGOS_BUCKET_ID, fileId);
+        } catch (e) {
+            // Ignore if file doesn't exist
+        }
+    }
+}
+
+async function handleManufacturerSubmit(e) {
+    e.preventDefault();
+    if (!requirePermission('edit')) return;
+
+    const id = document.getElementById('manufacturer-id').value;
+    const name = document.getElementById('manufacturer-name').value.trim();
+    const displayOrder = parseInt(document.getElementById('manufacturer-order').value) || 0;
+    const profile = readManufacturerProfile();
+
+    const issues = validateManufacturerData({ name, displayOrder, ...profile });
+    if (issues.length > 0) {
+        showToast(t('Fabricant invalide: {issues}', { issues: formatValidationIssues(issues) }), 'warning');
+        return;
+    }
+
+    const btn = e.target.querySelector('button[type="submit"]');
+    btn.classList.add('loading');
+    btn.disabled = true;
+
+    try {
+        if (id) {
+            // Update
+            const existing = manufacturers.find(m => m.$id === id);
+            const logoFileId = await uploadManufacturerLogo(id);
+            const data = await resolveConcurrentEdit(MANUFACTURERS_COLLECTION_ID, id, { name, displayOrder, logoFileId, ...profile }, manufacturerModal);
+            if (!data) {
+                await discardManufacturerLogoUpload();
+                return;
+            }
+            await queueUpdateDocument(MANUFACTURERS_COLLECTION_ID, id, data);
+            if (manufacturerLogo) manufacturerLogo.unsaved = false;
+            await recordAudit('update', MANUFACTURERS_COLLECTION_ID, id,
+                existing ? pickFields(existing, Object.keys(data)) : null, data);
+
+            // A replaced logo is deleted once neither the document nor the published version uses it
+            // (one the app still shows is left in the bucket)
+            const previousLogo = existing && existing.logoFileId;
+            const keptLogos = [
+                'logoFileId' in data ? data.logoFileId : previousLogo,
+                existing && isVisibleInApp(existing) ? (existing.$live || existing).logoFileId : null
+            ];
+            if (previousLogo && !keptLogos.includes(previousLogo)) {
+                try {
+                    await queueDeleteFile(MANUFACTURER_LOGOS_BUCKET_ID, previousLogo);
+                } catch (e) {
+                    // Ignore if file doesn't exist
+                }
+            }
+            showToast(t('Fabricant mis à jour'), 'success');
+        } else {
+            // Create with custom ID
+            const newId = slugify(name);
+            const duplicate = manufacturers.find(m => m.$id === newId);
+            if (duplicate) {
+                showToast(t('Le fabricant {name} existe déjà ({id})', { name: duplicate.name, id: newId }), 'warning', {
+                    label: t('Ouvrir'),
+                    handler: () => editManufacturer(newId)
+                });
+                return;
+            }
+            const data = { name, displayOrder, logoFileId: await uploadManufacturerLogo(newId), ...profile };
+            await queueCreateDocument(MANUFACTURERS_COLLECTION_ID, newId, data);
+            if (manufacturerLogo) manufacturerLogo.unsaved = false;
+            await recordAudit('create', MANUFACTURERS_COLLECTION_ID, newId, null, data);
+            showToast(t('Fabricant créé'), 'success');
+        }
+        manufacturerModal.hide();
+        await loadData();
+    } catch (error) {
+        await discardManufacturerLogoUpload();
+        showToast(t('Erreur: {message}', { message: error.message }), 'danger');
+    } finally {
+        btn.classList.remove('loading');
+        btn.disabled = false;
+    }
+}
+
+function confirmDeleteManufacturer(id) {
+    if (!requirePermission('delete')) return;
+    const name = getManufacturerName(id);
+    const wingCount = wings.filter(w => w.manufacturerId === id).length;
+    if (wingCount > 0) {
+        showToast(t('Impossible de supprimer: {count} voiles sont liées à ce fabricant', { count: wingCount }), 'warning');
+        return;
+    }
+    const trashedCount = trashedWings.filter(w => w.manufacturerId === id).length;
+    if (trashedCount > 0) {
+        showToast(t('Impossible de supprimer: {count} voiles de ce fabricant sont dans la corbeille', { count: trashedCount }), 'warning');
+        return;
+    }
+
+    showDeleteModal(name, t('Vous pourrez annuler pendant quelques secondes.'), async () => {
+        const existing = manufacturers.find(m => m.$id === id);
+        const before = existing ? pickFields(existing, MANUFACTURER_FIELDS) : null;
+        // A manufacturer the app shows is removed by "Publier", which deletes its logo then
+        const removedNow = existing && !isVisibleInApp(existing);
+        await queueDeleteDocument(MANUFACTURERS_COLLECTION_ID, id);
+        await recordAudit('delete', MANUFACTURERS_COLLECTION_ID, id, before, null);
+        // The logo file stays in the bucket until the undo is no longer offered
+        showToast(t('Fabricant supprimé'), 'success', before && {
+            label: t('Annuler'),
+            handler: () => undoManufacturerDelete(id, before),
+            expire: () => removedNow && deleteUnusedManufacturerLogos(existing)
+        });
+        await loadData();
+    });
+}
+
+// Image processing pipeline (runs in the browser before storage.createFile)
+// The iOS WingImageCache stores every image as <wingId>.png and the watch has tight
+// memory limits, so uploads are normalised to a fixed canvas size and format.
+const IMAGE_PIPELINE_STORAGE_KEY = 'imagePipelineSettings';
+const IMAGE_PIPELINE_DEFAULTS = {
+    enabled: true,
+    width: 800,
+    height: 600,
+    fit: 'contain', // 'contain' pads with transparency, 'cover' crops to the ratio
+    format: 'image/png',
+    quality: 0.85,
+    background: 'keep' // 'keep', 'remove' (plain backdrop) or 'flatten' (white)
+};
+const IMAGE_PIPELINE_INPUTS = {
+    enabled: 'image-process-enabled',
+    width: 'image-process-width',
+    height: 'image-process-height',
+    fit: 'image-process-fit',
+    format: 'image-process-format',
+    background: 'image-process-background'
+};
+const IMAGE_EXTENSIONS = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/webp': 'webp' };
+const BACKGROUND_TOLERANCE = 40;
+
+function loadImagePipelineSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(IMAGE_PIPELINE_STORAGE_KEY));
+        return { ...IMAGE_PIPELINE_DEFAULTS, ...saved };
+    } catch (e) {
+        return { ...IMAGE_PIPELINE_DEFAULTS };
+    }
+}
+
+function initImagePipeline() {
+    const settings = loadImagePipelineSettings();
+    for (const [key, inputId] of Object.entries(IMAGE_PIPELINE_INPUTS)) {
+        const input = document.getElementById(inputId);
+        if (input.type === 'checkbox') {
+            input.checked = settings[key];
+        } else {
+            input.value = settings[key];
+        }
+        input.addEventListener('change', handleImagePipelineChange);
+    }
+}
+
+function readImagePipelineSettings() {
+    const settings = { ...IMAGE_PIPELINE_DEFAULTS };
+    for (const [key, inputId] of Object.entries(IMAGE_PIPELINE_INPUTS)) {
+        const input = document.getElementById(inputId);
+        settings[key] = input.type === 'checkbox' ? input.checked : input.value;
+    }
+    settings.width = Math.min(Math.max(parseInt(settings.width) || IMAGE_PIPELINE_DEFAULTS.width, 64), 4096);
+    settings.height = Math.min(Math.max(parseInt(settings.height) || IMAGE_PIPELINE_DEFAULTS.height, 64), 4096);
+    return settings;
+}
+
+function handleImagePipelineChange() {
+    localStorage.setItem(IMAGE_PIPELINE_STORAGE_KEY, JSON.stringify(readImagePipelineSettings()));
+    trackImageWork(reprocessPendingImages());
+}
+
+// Images still going through the pipeline; the wing submit waits for them before uploading
+let pendingImageWork = Promise.resolve();
+
+function trackImageWork(work) {
+    pendingImageWork = Promise.all([pendingImageWork, work]).catch(() => {});
+    return work;
+}
+
+// Runs the pipeline on a picked file; the source is kept so setting changes can re-run it
+async function prepareGalleryImage(file, settings) {
+    if (!settings.enabled) {
+        return { blob: file, info: t('{size} (original, non traité)', { size: formatBytes(file.size) }) };
+    }
+    const result = await processWingImage(file, settings);
+    return {
+        blob: result.blob,
+        info: `${formatBytes(file.size)} → ${formatBytes(result.blob.size)} (${result.width}×${result.height}, ${IMAGE_EXTENSIONS[settings.format].toUpperCase()})`
+    };
+}
+
+async function addSelectedWingImages() {
+    const input = document.getElementById('wing-image');
+    const files = Array.from(input.files);
+    const info = document.getElementById('image-process-info');
+    const settings = readImagePipelineSettings();
+
+    for (const file of files) {
+        try {
+            const prepared = await prepareGalleryImage(file, settings);
+            wingGallery.push({
+                source: file,
+                blob: prepared.blob,
+                previewUrl: URL.createObjectURL(prepared.blob),
+                colourway: '',
+                view: ''
+            });
+            info.textContent = prepared.info;
+        } catch (error) {
+            showToast(t('Traitement de l\'image impossible ({name}): {message}', { name: file.name, message: error.message }), 'danger');
+        }
+    }
+
+    input.value = '';
+    renderWingGallery();
+}
+
+async function reprocessPendingImages() {
+    const settings = readImagePipelineSettings();
+    const info = document.getElementById('image-process-info');
+
+    for (const item of wingGallery.filter(i => i.source)) {
+        try {
+            const prepared = await prepareGalleryImage(item.source, settings);
+            URL.revokeObjectURL(item.previewUrl);
+            item.blob = prepared.blob;
+            item.previewUrl = URL.createObjectURL(prepared.blob);
+            info.textContent = prepared.info;
+        } catch (error) {
+            showToast(t('Traitement de l\'image impossible: {message}', { message: error.message }), 'danger');
+        }
+    }
+    renderWingGallery();
+}
+
+async function processWingImage(file, settings) {
+    const bitmap = await createImageBitmap(file);
+    let source = bitmap;
+
+    if (settings.background === 'remove') {
+        source = removePlainBackground(bitmap);
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = settings.width;
+    canvas.height = settings.height;
+    const ctx = canvas.getContext('2d');
+
+    // JPEG has no alpha channel: always flatten onto white
+    if (settings.background === 'flatten' || settings.format === 'image/jpeg') {
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+    }
+
+    const scale = settings.fit === 'cover'
+        ? Math.max(canvas.width / source.width, canvas.height / source.height)
+        : Math.min(canvas.width / source.width, canvas.height / source.height);
+    const drawWidth = source.width * scale;
+    const drawHeight = source.height * scale;
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(source, (canvas.width - drawWidth) / 2, (canvas.height - drawHeight) / 2, drawWidth, drawHeight);
+    bitmap.close();
+
+    const blob = await new Promise((resolve, reject) => {
+        canvas.toBlob(
+            result => result ? resolve(result) : reject(new Error(t('format non supporté par le navigateur'))),
+            settings.format,
+            settings.quality
+        );
+    });
+
+    return { blob, width: canvas.width, height: canvas.height };
+}
+
+// Clears pixels close to the average corner colour (studio shots on a plain backdrop)
+function removePlainBackground(bitmap) {
+    const canvas = document.createElement('canvas');
+    canvas.width = bitmap.width;
+    canvas.height = bitmap.height;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(bitmap, 0, 0);
+
+    const image = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    const data = image.data;
+    const corners = [0, canvas.width - 1, (canvas.height - 1) * canvas.width, canvas.height * canvas.width - 1];
+    const reference = [0, 1, 2].map(channel =>
+        corners.reduce((sum, pixel) => sum + data[pixel * 4 + channel], 0) / corners.length
+    );
+
+    for (let i = 0; i < data.length; i += 4) {
+        const distance = Math.abs(data[i] - reference[0])
+            + Math.abs(data[i + 1] - reference[1])
+            + Math.abs(data[i + 2] - reference[2]);
+        if (distance < BACKGROUND_TOLERANCE) {
+            data[i + 3] = 0;
+        }
+    }
+
+    ctx.putImageData(image, 0, 0);
+    return canvas;
+}
+
+function formatBytes(bytes) {
+    if (bytes < 1024) return t('{size} o', { size: bytes });
+    if (bytes < 1024 * 1024) return t('{size} Ko', { size: (bytes / 1024).toFixed(0) });
+    return t('{size} Mo', { size: (bytes / 1024 / 1024).toFixed(1) });
+}
+
+// Wing classification: several disciplines plus one certification class.
+// Older wings only have `type`, which held either a discipline or an EN class.
+const WING_DISCIPLINES = ['Soaring', 'Thermique', 'Cross Country', 'Acro', 'Speedflying', 'Tandem'];
+const CERTIFICATION_CLASSES = ['EN-A', 'EN-B', 'EN-C', 'EN-D', 'CCC', 'LTF-A', 'LTF-B', 'LTF-C', 'LTF-D', 'EN 926-1'];
+// Display names per app language; documents keep the French values above
+const DISCIPLINE_LABELS = {
+    Soaring: { fr: 'Soaring', en: 'Soaring' },
+    Thermique: { fr: 'Thermique', en: 'Thermal' },
+    'Cross Country': { fr: 'Cross Country', en: 'Cross Country' },
+    Acro: { fr: 'Acro', en: 'Acro' },
+    Speedflying: { fr: 'Speedflying', en: 'Speedflying' },
+    Tandem: { fr: 'Tandem', en: 'Tandem' }
+};
+
+// Accepts the older 'EN A' spelling (legacy `type`, size specs saved before the split)
+function normalizeCertification(value) {
+    const text = String(value || '').trim().toLowerCase().replace(/^(en|ltf)\s+([a-d])$/, '$1-$2');
+    return CERTIFICATION_CLASSES.find(c => c.toLowerCase() === text) || null;
+}
+
+function classifyLegacyType(type) {
+    const value = String(type || '').trim();
+    if (WING_DISCIPLINES.includes(value)) return { disciplines: [value], certification: null };
+    const certification = normalizeCertification(value);
+    if (certification) return { disciplines: [], certification };
+    return null;
+}
+
+function isClassified(w) {
+    return (Array.isArray(w.disciplines) && w.disciplines.length > 0) || !!w.certification;
+}
+
+function getWingDisciplines(w) {
+    if (isClassified(w)) return w.disciplines || [];
+    const legacy = classifyLegacyType(w.type);
+    return legacy ? legacy.disciplines : [];
+}
+
+function getWingCertification(w) {
+    if (isClassified(w)) return w.certification || null;
+    const legacy = classifyLegacyType(w.type);
+    return legacy ? legacy.certification : null;
+}
+
+// The single label LibraryWing shows on iOS: main discipline and certification
+function composeWingType(disciplines, certification) {
+    return [disciplines[0], certification].filter(v => v).join(' · ');
+}
+
+// Same label in each app language, stored as JSON in `typeLabels` ({ fr, en })
+function composeWingTypeLabels(disciplines, certification) {
+    if (disciplines.length === 0 && !certification) return null;
+    return JSON.stringify(Object.fromEntries(Object.keys(LANGUAGES).map(language =>
+        [language, composeWingType(disciplines.map(d => formatDiscipline(d, language)), certification)]
+    )));
+}
+
+function formatDiscipline(discipline, language = currentLanguage) {
+    return (DISCIPLINE_LABELS[discipline] || {})[language] || discipline;
+}
+
+// typeLabels and descriptions are stored as JSON objects keyed by language
+function parseLocalizedText(value) {
+    if (!value) return {};
+    try {
+        const parsed = JSON.parse(value);
+        return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+    } catch (e) {
+        return {};
+    }
+}
+
+// The app falls back to the source language, then to the legacy French type
+function pickLocalizedText(value, language = currentLanguage) {
+    const texts = parseLocalizedText(value);
+    return texts[language] || texts[SOURCE_LANGUAGE] || '';
+}
+
+function getWingTypeLabel(w) {
+    return pickLocalizedText(w.typeLabels) || w.type;
+}
+
+function renderWingClassification(w, disciplineClass) {
+    const certification = getWingCertification(w);
+    const badges = getWingDisciplines(w).map(d => `<span class="${disciplineClass}">${escapeHtml(formatDiscipline(d))}</span>`);
+    if (certification) badges.push(`<span class="${disciplineClass} certification-badge">${escapeHtml(certification)}</span>`);
+    return badges.join(' ');
+}
+
+function initWingClassification() {
+    document.getElementById('wing-disciplines').innerHTML = WING_DISCIPLINES.map((d, index) => `
+        <input type="checkbox" class="btn-check" id="wing-discipline-${index}" value="${escapeHtml(d)}" autocomplete="off">
+        <label class="btn btn-sm btn-outline-secondary" for="wing-discipline-${index}">${escapeHtml(formatDiscipline(d))}</label>
+    `).join('');
+
+    const certificationSelect = document.getElementById('wing-certification');
+    CERTIFICATION_CLASSES.forEach(c => certificationSelect.add(new Option(c, c)));
+
+    document.getElementById('wing-descriptions').innerHTML = Object.keys(LANGUAGES).map(language => `
+        <div class="input-group input-group-sm mb-1">
+            <span class="input-group-text">${language.toUpperCase()}</span>
+            <textarea class="form-control" id="wing-description-${language}" rows="2" maxlength="${WING_DESCRIPTION_MAX_LENGTH}"></textarea>
+        </div>
+    `).join('');
+}
+
+function setWingClassification(w) {
+    const disciplines = w ? getWingDisciplines(w) : [];
+    document.querySelectorAll('#wing-disciplines .btn-check').forEach(input => {
+        input.checked = disciplines.includes(input.value);
+    });
+    document.getElementById('wing-certification').value = (w && getWingCertification(w)) || '';
+}
+
+function readWingClassification() {
+    return {
+        disciplines: Array.from(document.querySelectorAll('#wing-disciplines .btn-check:checked')).map(input => input.value),
+        certification: document.getElementById('wing-certification').value || null
+    };
+}
+
+function setWingDescriptions(w) {
+    const descriptions = parseLocalizedText(w ? w.descriptions : null);
+    Object.keys(LANGUAGES).forEach(language => {
+        document.getElementById(`wing-description-${language}`).value = descriptions[language] || '';
+    });
+}
+
+// Empty languages are left out so the app falls back to the source language
+function readWingDescriptions() {
+    const descriptions = {};
+    Object.keys(LANGUAGES).forEach(language => {
+        const text = document.getElementById(`wing-description-${language}`).value.trim();
+        if (text) descriptions[language] = text;
+    });
+    return Object.keys(descriptions).length > 0 ? JSON.stringify(descriptions) : null;
+}
+
+function renderTypeMigration() {
+    const pending = [...wings, ...trashedWings].filter(w => !isClassified(w));
+    const unknown = pending.filter(w => !classifyLegacyType(w.type));
+    const unlabelled = [...wings, ...trashedWings].filter(needsTypeLabels);
+    const oldSpecs = [...wings, ...trashedWings].filter(w => migrateSizeSpecCertifications(w));
+    const summary = document.getElementById('type-migration-summary');
+
+    if (pending.length === 0 && unlabelled.length === 0 && oldSpecs.length === 0) {
+        summary.innerHTML = `<span class="text-success"><i class="bi bi-check-circle me-1"></i>${t('Toutes les voiles ont des disciplines ou une homologation')}</span>`;
+    } else {
+        const parts = [];
+        if (pending.length > 0) {
+            parts.push(t('{count} voile(s) n\'utilisent que l\'ancien champ type', { count: pending.length })
+                + (unknown.length > 0 ? t(', dont {count} avec un type inconnu: {types}', {
+                    count: unknown.length,
+                    types: unknown.map(w => `<code>${escapeHtml(w.type || t('(vide)'))}</code>`).join(', ')
+                }) : ''));
+        }
+        if (unlabelled.length > 0) {
+            parts.push(t('{count} voile(s) sans type traduit pour l\'app', { count: unlabelled.length }));
+        }
+        if (oldSpecs.length > 0) {
+            parts.push(t('{count} voile(s) avec des homologations par taille à l\'ancien format (EN A)', { count: oldSpecs.length }));
+        }
+        summary.innerHTML = parts.join('. ');
+    }
+    document.getElementById('migrate-types-btn').disabled = pending.length === unknown.length && unlabelled.length === 0 && oldSpecs.length === 0;
+}
+
+// Classified before `typeLabels` existed: only the translated labels are missing
+function needsTypeLabels(w) {
+    return isClassified(w) && !w.typeLabels;
+}
+
+// `sizeSpecs` with certifications in the older spelling, rewritten to the current classes (null when up to date)
+function migrateSizeSpecCertifications(w) {
+    let specs;
+    try {
+        specs = JSON.parse(w.sizeSpecs || 'null');
+    } catch (e) {
+        return null;
+    }
+    if (!Array.isArray(specs)) return null;
+
+    let changed = false;
+    const migrated = specs.map(spec => {
+        if (!spec || !spec.certification || CERTIFICATION_CLASSES.includes(spec.certification)) return spec;
+        const certification = normalizeCertification(spec.certification);
+        if (!certification) return spec;
+        changed = true;
+        return { ...spec, certification };
+    });
+    return changed ? JSON.stringify(migrated) : null;
+}
+
+// Converts legacy `type` values into disciplines/certification and older size spec
+// certifications into the current classes, trashed wings included
+async function migrateWingTypes() {
+    if (!requirePermission('edit')) return;
+    if (!isCatalogComplete()) {
+        showToast(t('Catalogue incomplet: rechargez avant de migrer'), 'warning');
+        return;
+    }
+
+    const pending = [...wings, ...trashedWings].filter(w => needsTypeLabels(w) || (!isClassified(w) && classifyLegacyType(w.type)) || migrateSizeSpecCertifications(w));
+    const btn = document.getElementById('migrate-types-btn');
+    btn.classList.add('loading');
+    btn.disabled = true;
+
+    const failures = [];
+    // Sequential writes to avoid rate limit
+    for (const w of pending) {
+        let data = {};
+        if (!isClassified(w) && classifyLegacyType(w.type)) {
+            const { disciplines, certification } = classifyLegacyType(w.type);
+            data = { disciplines, certification, type: composeWingType(disciplines, certification), typeLabels: composeWingTypeLabels(disciplines, certification) };
+        } else if (needsTypeLabels(w)) {
+            data = { typeLabels: composeWingTypeLabels(w.disciplines || [], w.certification || null) };
+        }
+        const sizeSpecs = migrateSizeSpecCertifications(w);
+        if (sizeSpecs) data.sizeSpecs = sizeSpecs;
+        try {
+            await queueUpdateDocument(WINGS_COLLECTION_ID, w.$id, data);
+            await recordAudit('update', WINGS_COLLECTION_ID, w.$id, pickFields(w, Object.keys(data)), data);
+        } catch (error) {
+            failures.push(`${w.model}: ${error.message}`);
+        }
+    }
+
+    btn.classList.remove('loading');
+
+    if (failures.length > 0) {
+        showToast(t('Migration: {done} / {total} réussies. {failures}', { done: pending.length - failures.length, total: pending.length, failures: failures.join(' ; ') }), 'warning');
+    } else {
+        showToast(t('Migration terminée: {count} voile(s) convertie(s)', { count: pending.length }), 'success');
+    }
+
+    await loadData();
+}
+
+function getDocumentsWithoutPublishedFlag() {
+    return [
+        ...[...manufacturers, ...manufacturersPendingDeletion].map(doc => ({ collectionId: MANUFACTURERS_COLLECTION_ID, doc, name: doc.name })),
+        ...[...wings, ...trashedWings].map(doc => ({ collectionId: WINGS_COLLECTION_ID, doc, name: doc.model }))
+    ].filter(({ doc }) => lacksPublishedFlag(doc));
+}
+
+function renderPublishedFlagMigration() {
+    const pending = getDocumentsWithoutPublishedFlag();
+    const summary = document.getElementById('published-migration-summary');
+    summary.innerHTML = pending.length === 0
+        ? `<span class="text-success"><i class="bi bi-check-circle me-1"></i>${t('Tous les documents ont un état de publication')}</span>`
+        : t('{count} document(s) antérieur(s) aux brouillons, masqué(s) par l\'app tant qu\'ils ne sont pas marqués publiés', { count: pending.length });
+    document.getElementById('migrate-published-btn').disabled = pending.length === 0;
+}
+
+// Documents created before the draft workflow are live: they get `published: true`
+// directly, without touching their draft or the catalogue version
+async function migratePublishedFlags() {
+    if (!requirePermission('edit')) return;
+    if (!isCatalogComplete()) {
+        showToast(t('Catalogue incomplet: rechargez avant de migrer'), 'warning');
+        return;
+    }
+
+    const pending = getDocumentsWithoutPublishedFlag();
+    const btn = document.getElementById('migrate-published-btn');
+    btn.classList.add('loading');
+    btn.disabled = true;
+
+    const failures = [];
+    // Sequential writes to avoid rate limit
+    for (const { collectionId, doc, name } of pending) {
+        const data = { published: true };
+        try {
+            await writeDocument('update', collectionId, doc.$id, data, name,
+                () => databases.updateDocument(DATABASE_ID, collectionId, doc.$id, data));
+            await recordAudit('update', collectionId, doc.$id, { published: null }, data);
+        } catch (error) {
+            failures.push(`${name}: ${error.message}`);
+        }
+    }
+
+    btn.classList.remove('loading');
+
+    if (failures.length > 0) {
+        showToast(t('Migration: {done} / {total} réussies. {failures}', { done: pending.length - failures.length, total: pending.length, failures: failures.join(' ; ') }), 'warning');
+    } else {
+        showToast(t('Migration terminée: {count} document(s) marqué(s) publié(s)', { count: pending.length }), 'success');
+    }
+
+    await loadData();
+}
+
+// Catalogue validation, shared by the editors, the bulk paths and the quality report.
+// Rules return [{ field, message }]; an empty list means the document can be saved.
+const WING_YEAR_MIN = 1970;
+const WING_DESCRIPTION_MAX_LENGTH = 500;
+const MANUFACTURER_DESCRIPTION_MAX_LENGTH = 300;
+
+function validateManufacturerData(data) {
+    const issues = [];
+    if (!String(data.name || '').trim()) {
+        issues.push({ field: 'name', message: t('nom manquant') });
+    }
+    if (data.displayOrder !== null && data.displayOrder !== undefined && !(Number.isInteger(data.displayOrder) && data.displayOrder >= 0)) {
+        issues.push({ field: 'displayOrder', message: t('ordre d\'affichage invalide "{value}"', { value: data.displayOrder }) });
+    }
+    if (data.website && !isWebUrl(data.website)) {
+        issues.push({ field: 'website', message: t('site web invalide "{value}" (http ou https)', { value: data.website }) });
+    }
+    if (data.description && String(data.description).length > MANUFACTURER_DESCRIPTION_MAX_LENGTH) {
+        issues.push({ field: 'description', message: t('description trop longue ({max} caractères max)', { max: MANUFACTURER_DESCRIPTION_MAX_LENGTH }) });
+    }
+    return issues;
+}
+
+// `manufacturerIds` lets bulk paths accept manufacturers they are about to create
+function validateWingData(data, manufacturerIds = manufacturers.map(m => m.$id)) {
+    const issues = [];
+    const yearMax = new Date().getFullYear() + 1;
+
+    if (!String(data.model || '').trim()) {
+        issues.push({ field: 'model', message: t('modèle manquant') });
+    }
+    if (!data.manufacturerId) {
+        issues.push({ field: 'manufacturerId', message: t('fabricant manquant') });
+    } else if (!manufacturerIds.includes(data.manufacturerId)) {
+        issues.push({ field: 'manufacturerId', message: t('fabricant inexistant "{value}"', { value: data.manufacturerId }) });
+    }
+    if (data.year !== null && data.year !== undefined && !(Number.isInteger(data.year) && data.year >= WING_YEAR_MIN && data.year <= yearMax)) {
+        issues.push({ field: 'year', message: t('année invalide "{value}" ({min}–{max})', { value: data.year, min: WING_YEAR_MIN, max: yearMax }) });
+    }
+
+    const disciplines = getWingDisciplines(data);
+    const certification = getWingCertification(data);
+    if (disciplines.length === 0 && !certification) {
+        issues.push({ field: 'disciplines', message: t('discipline ou homologation manquante') });
+    }
+    disciplines.filter(d => !WING_DISCIPLINES.includes(d))
+        .forEach(d => issues.push({ field: 'disciplines', message: t('discipline inconnue "{value}"', { value: d }) }));
+    if (certification && !CERTIFICATION_CLASSES.includes(certification)) {
+        issues.push({ field: 'certification', message: t('homologation inconnue "{value}"', { value: certification }) });
+    }
+
+    const rows = parseSizeSpecs(data);
+    if (rows.length === 0) {
+        issues.push({ field: 'sizes', message: t('au moins une taille est requise') });
+    }
+    checkSizeRows(rows).forEach(({ index, field, message }) => issues.push({
+        field: field === 'size' ? 'sizes' : 'sizeSpecs',
+        message: `${String(rows[index].size || '').trim() || t('taille {number}', { number: index + 1 })}: ${message}`
+    }));
+
+    Object.entries(parseLocalizedText(data.descriptions))
+        .filter(([, text]) => String(text).length > WING_DESCRIPTION_MAX_LENGTH)
+        .forEach(([language]) => issues.push({
+            field: 'descriptions',
+            message: t('description {language} trop longue ({max} caractères max)', { language: language.toUpperCase(), max: WING_DESCRIPTION_MAX_LENGTH })
+        }));
+
+    return issues;
+}
+
+function formatValidationIssues(issues) {
+    return issues.map(issue => issue.message).join(', ');
+}
+
+// Quality report: every rule violation in the loaded catalogue (the trash is left out)
+const QUALITY_FIELD_LABELS = {
+    name: 'Nom',
+    displayOrder: 'Ordre',
+    model: 'Modèle',
+    manufacturerId: 'Fabricant',
+    year: 'Année',
+    disciplines: 'Disciplines',
+    certification: 'Homologation',
+    sizes: 'Tailles',
+    sizeSpecs: 'Caractéristiques',
+    descriptions: 'Description',
+    website: 'Site web',
+    description: 'Description'
+};
+
+// Documents sharing a displayOrder have no defined order in the app
+function findSharedOrders(items, getName) {
+    const byOrder = new Map();
+    items.forEach(doc => {
+        const order = doc.displayOrder || 0;
+        byOrder.set(order, [...(byOrder.get(order) || []), doc]);
+    });
+    return [...byOrder.entries()]
+        .filter(([, docs]) => docs.length > 1)
+        .map(([order, docs]) => ({ field: 'displayOrder', message: t('ordre {order} partagé par {names}', { order, names: docs.map(getName).join(', ') }) }));
+}
+
+function buildQualityReport() {
+    const entries = [];
+    manufacturers.forEach(m => {
+        const issues = validateManufacturerData(m);
+        if (issues.length > 0) entries.push({ kind: 'manufacturer', id: m.$id, name: m.name, issues });
+    });
+    wings.forEach(w => {
+        const issues = validateWingData(w);
+        if (issues.length > 0) entries.push({ kind: 'wing', id: w.$id, name: `${getManufacturerName(w.manufacturerId)} ${w.model}`, issues });
+    });
+
+    const manufacturerOrders = findSharedOrders(manufacturers, m => m.name);
+    if (manufacturerOrders.length > 0) {
+        entries.push({ kind: 'order', id: 'manufacturers', name: t('Fabricants'), issues: manufacturerOrders });
+    }
+    [...new Set(wings.map(w => w.manufacturerId))].forEach(manufacturerId => {
+        const issues = findSharedOrders(wings.filter(w => w.manufacturerId === manufacturerId), w => w.model);
+        if (issues.length > 0) {
+            entries.push({ kind: 'order', id: `wings:${manufacturerId}`, name: t('Voiles {name}', { name: getManufacturerName(manufacturerId) }), issues });
+        }
+    });
+    return entries;
+}
+
+const QUALITY_KIND_LABELS = {
+    manufacturer: { label: 'Fabricant', badge: 'bg-primary', action: 'edit-manufacturer', button: 'Corriger', permission: 'edit' },
+    wing: { label: 'Voile', badge: 'bg-secondary', action: 'edit-wing', button: 'Corriger', permission: 'edit' },
+    order: { label: 'Ordre', badge: 'bg-warning text-dark', action: 'renumber-order', button: 'Renuméroter', permission: 'reorder' }
+};
+
+function renderQualityReport() {
+    const entries = buildQualityReport();
+    const tbody = document.getElementById('quality-table');
+    document.getElementById('quality-count').textContent = entries.length || '';
+
+    if (entries.length === 0) {
+        tbody.innerHTML = `<tr><td colspan="4" class="text-center text-muted py-5"><i class="bi bi-check-circle me-1"></i>${t('Aucun problème détecté')}</td></tr>`;
+        return;
+    }
+
+    tbody.innerHTML = entries.map(entry => {
+        const kind = QUALITY_KIND_LABELS[entry.kind];
+        return `
+            <tr>
+                <td><span class="badge ${kind.badge}">${t(kind.label)}</span></td>
+                <td>
+                    <strong>${escapeHtml(entry.name)}</strong>
+                    ${entry.kind === 'order' ? '' : `<div class="manufacturer-id">${escapeHtml(entry.id)}</div>`}
+                </td>
+                <td class="small">
+                    ${entry.issues.map(issue => `<div><strong>${t(QUALITY_FIELD_LABELS[issue.field])}</strong>: ${escapeHtml(issue.message)}</div>`).join('')}
+                </td>
+                <td class="text-end">
+                    <button class="btn btn-sm btn-outline-primary" data-action="${kind.action}" data-id="${escapeHtml(entry.id)}" data-requires="${kind.permission}">
+                        ${t(kind.button)}
+                    </button>
+                </td>
+            </tr>
+        `;
+    }).join('');
+}
+
+// Rewrites a list's displayOrder as 0..n-1, keeping the current order (ties by name)
+async function renumberDisplayOrder(scope) {
+    if (!requirePermission('reorder')) return;
+    if (!isCatalogComplete()) {
+        showToast(t('Catalogue incomplet: rechargez avant de réordonner'), 'warning');
+        return;
+    }
+
+    const collectionId = scope === 'manufacturers' ? MANUFACTURERS_COLLECTION_ID : WINGS_COLLECTION_ID;
+    const getName = doc => String(doc.name || doc.model);
+    const items = (scope === 'manufacturers' ? [...manufacturers] : wings.filter(w => `wings:${w.manufacturerId}` === scope))
+        .sort((a, b) => (a.displayOrder || 0) - (b.displayOrder || 0) || getName(a).localeCompare(getName(b)));
+    const updates = items
+        .map((doc, i) => ({ id: doc.$id, displayOrder: i, previousOrder: doc.displayOrder }))
+        .filter(u => u.displayOrder !== u.previousOrder);
+    if (updates.length === 0) return;
+
+    const { succeeded, failed } = await runQueuedWrites(updates, u =>
+        queueUpdateDocument(collectionId, u.id, { displayOrder: u.displayOrder }, t('Ordre de {name}', { name: getName(items.find(doc => doc.$id === u.id)) }))
+    );
+    if (succeeded.length > 0) {
+        await recordReorderAudit(collectionId, items[0].$id, succeeded);
+    }
+
+    if (failed.length === 0) {
+        showToast(t('Ordre renuméroté'), 'success', {
+            label: t('Annuler'),
+            handler: () => undoReorder(collectionId, items[0].$id, updates)
+        });
+    } else {
+        reportWriteFailures(t('Renumérotation'), failed.length);
+    }
+    await loadData();
+}
+
+// Per-size technical data (flat/projected area, PTV range, glider weight, certification)
+
+const SIZE_SPEC_FIELDS = ['flatArea', 'projectedArea', 'ptvMin', 'ptvMax', 'weight', 'certification'];
+
+// Spec rows follow `sizes` order; specs for sizes no longer listed are dropped
+function parseSizeSpecs(w) {
+    let specs = [];
+    if (w.sizeSpecs) {
+        try {
+            specs = JSON.parse(w.sizeSpecs);
+        } catch (e) {
+            console.warn(`Invalid sizeSpecs on wing ${w.$id}`);
+        }
+    }
+    return (w.sizes || []).map(size => {
+        const spec = (Array.isArray(specs) ? specs : []).find(item => item && item.size === size) || {};
+        const row = { size };
+        SIZE_SPEC_FIELDS.forEach(field => {
+            row[field] = spec[field] !== undefined && spec[field] !== '' ? spec[field] : null;
+        });
+        // Older specs say 'EN A': read as the class the size table offers, so a resave keeps it
+        if (row.certification !== null) row.certification = normalizeCertification(row.certification) || row.certification;
+        return row;
+    });
+}
+
+function hasSizeSpec(row) {
+    return SIZE_SPEC_FIELDS.some(field => row[field] !== null);
+}
+
+function formatSizeSpec(row) {
+    const parts = [];
+    if (row.flatArea !== null) {
+        parts.push(`${row.flatArea} m²${row.projectedArea !== null ? ` (${t('{area} m² proj.', { area: row.projectedArea })})` : ''}`);
+    } else if (row.projectedArea !== null) {
+        parts.push(t('{area} m² proj.', { area: row.projectedArea }));
+    }
+    if (row.ptvMin !== null || row.ptvMax !== null) {
+        parts.push(`PTV ${row.ptvMin ?? '?'}–${row.ptvMax ?? '?'} kg`);
+    }
+    if (row.weight !== null) parts.push(t('voile {weight} kg', { weight: row.weight }));
+    if (row.certification) parts.push(row.certification);
+    return parts.join(' · ');
+}
+
+// Cards show the PTV range inline and the full spec on hover; the table shows everything
+function renderSizeChips(w, detailed) {
+    return parseSizeSpecs(w).map(row => {
+        const spec = formatSizeSpec(row);
+        if (!spec) return `<span class="size-chip">${escapeHtml(row.size)}</span>`;
+
+        const summary = detailed
+            ? spec
+            : (row.ptvMin !== null || row.ptvMax !== null ? `${row.ptvMin ?? '?'}–${row.ptvMax ?? '?'} kg` : row.certification || '');
+        return `<span class="size-chip" title="${escapeHtml(spec)}">${escapeHtml(row.size)}${summary ? ` <small class="size-chip-spec">${escapeHtml(summary)}</small>` : ''}</span>`;
+    }).join(' ');
+}
+
+function renderSizeRows(rows) {
+    const tbody = document.getElementById('wing-size-rows');
+    const numberInput = (field, index, value, step) => `
+        <input type="number" class="form-control form-control-sm" data-size-field="${field}" data-index="${index}"
+               value="${value ?? ''}" min="0" step="${step}">`;
+
+    tbody.innerHTML = rows.map((row, index) => `
+        <tr>
+            <td><input type="text" class="form-control form-control-sm" data-size-field="size" data-index="${index}" value="${escapeHtml(row.size)}" placeholder="M"></td>
+            <td>${numberInput('flatArea', index, row.flatArea, '0.01')}</td>
+            <td>${numberInput('projectedArea', index, row.projectedArea, '0.01')}</td>
+            <td>${numberInput('ptvMin', index, row.ptvMin, '1')}</td>
+            <td>${numberInput('ptvMax', index, row.ptvMax, '1')}</td>
+            <td>${numberInput('weight', index, row.weight, '0.1')}</td>
+            <td>
+                <select class="form-select form-select-sm" data-size-field="certification" data-index="${index}">
+                    <option value="">-</option>
+                    ${CERTIFICATION_CLASSES.map(c => `<option value="${c}" ${row.certification === c ? 'selected' : ''}>${c}</option>`).join('')}
+                </select>
+            </td>
+            <td>
+                <button type="button" class="btn btn-sm btn-outline-danger" data-action="remove-size-row" data-id="${index}" title="${t('Retirer')}">
+                    <i class="bi bi-x-lg"></i>
+                </button>
+            </td>
+        </tr>
+    `).join('');
+    renderWingAppPreview();
+}
+
+// Reads the size table as typed, without validation
+function readSizeRows() {
+    const rows = [];
+    document.querySelectorAll('#wing-size-rows tr').forEach(tr => {
+        const row = {};
+        tr.querySelectorAll('[data-size-field]').forEach(input => {
+            const field = input.dataset.sizeField;
+            if (field === 'size' || field === 'certification') {
+                row[field] = input.value.trim() || (field === 'size' ? '' : null);
+            } else {
+                row[field] = input.value === '' ? null : Number(input.value);
+            }
+        });
+        rows.push(row);
+    });
+    return rows;
+}
+
+function addSizeRow() {
+    const rows = readSizeRows();
+    rows.push({ size: '', flatArea: null, projectedArea: null, ptvMin: null, ptvMax: null, weight: null, certification: null });
+    renderSizeRows(rows);
+    document.querySelector('#wing-size-rows tr:last-child input')?.focus();
+}
+
+function removeSizeRow(index) {
+    const rows = readSizeRows();
+    rows.splice(index, 1);
+    renderSizeRows(rows);
+}
+
+// Size table rules, shared by the editor and validateWingData: [{ index, field, message }]
+function checkSizeRows(rows) {
+    const problems = [];
+    const seen = new Set();
+    const flag = (index, field, message) => problems.push({ index, field, message });
+
+    rows.forEach((row, index) => {
+        const size = String(row.size || '').trim().toLowerCase();
+        if (!size) {
+            flag(index, 'size', t('nom de taille manquant'));
+        } else if (seen.has(size)) {
+            flag(index, 'size', t('taille en double'));
+        }
+        seen.add(size);
+
+        SIZE_SPEC_FIELDS.filter(field => field !== 'certification').forEach(field => {
+            if (row[field] !== null && !(Number.isFinite(row[field]) && row[field] > 0)) {
+                flag(index, field, t('valeur positive attendue'));
+            }
+        });
+        if (row.certification !== null && !CERTIFICATION_CLASSES.includes(row.certification)) {
+            flag(index, 'certification', t('homologation inconnue "{value}"', { value: row.certification }));
+        }
+        if (row.ptvMin !== null && row.ptvMax !== null && row.ptvMin > row.ptvMax) {
+            flag(index, 'ptvMax', t('PTV max inférieur au PTV min'));
+        }
+        if (row.flatArea !== null && row.projectedArea !== null && row.projectedArea > row.flatArea) {
+            flag(index, 'projectedArea', t('surface projetée supérieure à la surface à plat'));
+        }
+        if (row.weight !== null && row.ptvMin !== null && row.weight >= row.ptvMin) {
+            flag(index, 'weight', t('poids de la voile supérieur au PTV min'));
+        }
+    });
+
+    return problems;
+}
+
+// Flags invalid inputs of the size table (the messages come from validateWingData)
+function validateSizeRows(rows) {
+    document.querySelectorAll('#wing-size-rows .is-invalid').forEach(input => input.classList.remove('is-invalid'));
+    checkSizeRows(rows).forEach(({ index, field }) => {
+        document.querySelector(`#wing-size-rows [data-index="${index}"][data-size-field="${field}"]`)?.classList.add('is-invalid');
+    });
+}
+
+// Only sizes with technical data are stored; null keeps the document unchanged for plain size lists
+function serializeSizeSpecs(rows) {
+    const specs = rows.filter(hasSizeSpec).map(row => {
+        const spec = { size: row.size };
+        SIZE_SPEC_FIELDS.forEach(field => {
+            if (row[field] !== null) spec[field] = row[field];
+        });
+        return spec;
+    });
+    return specs.length > 0 ? JSON.stringify(specs) : null;
+}
+
+// Wing image gallery (ordered, first image is the primary one)
+const GALLERY_VIEWS = {
+    '': 'Vue',
+    profile: 'Profil',
+    top: 'Dessus',
+    front: 'Face',
+    detail: 'Détail'
+};
+
+// Legacy documents only have imageFileId: expose it as a one-image gallery
+function parseWingGallery(w) {
+    let gallery = [];
+    if (w.gallery) {
+        try {
+            gallery = JSON.parse(w.gallery).filter(item => item && item.fileId);
+        } catch (e) {
+            console.warn(`Invalid gallery on wing ${w.$id}`);
+        }
+    }
+    if (gallery.length === 0 && w.imageFileId) {
+        gallery = [{ fileId: w.imageFileId, colourway: '', view: '' }];
+    }
+    return gallery.map(item => ({ fileId: item.fileId, colourway: item.colourway || '', view: item.view || '' }));
+}
+
+function getWingFileIds(w) {
+    return [...new Set([w.imageFileId, ...parseWingGallery(w).map(item => item.fileId)].filter(id => id))];
+}
+
+function setWingGallery(items) {
+    wingGallery.forEach(item => {
+        if (item.source) URL.revokeObjectURL(item.previewUrl);
+    });
+    wingGallery = items.map(item => ({ ...item, previewUrl: getWingImageUrl(item.fileId) }));
+    document.getElementById('image-process-info').textContent = '';
+    renderWingGallery();
+}
+
+function renderWingGallery() {
+    const container = document.getElementById('wing-gallery');
+    container.innerHTML = wingGallery.map((item, index) => `
+        <div class="gallery-item ${index === 0 ? 'primary' : ''}" draggable="true" data-index="${index}">
+            <div class="gallery-thumb">
+                <img src="${escapeHtml(item.previewUrl)}" alt="">
+                ${index === 0 ? `<span class="badge bg-primary gallery-badge">${t('Principale')}</span>` : ''}
+                ${item.source ? `<span class="badge bg-warning text-dark gallery-badge-right">${t('Nouvelle')}</span>` : ''}
+            </div>
+            <input type="text" class="form-control form-control-sm" data-gallery-field="colourway" data-index="${index}"
+                   value="${escapeHtml(item.colourway)}" placeholder="${t('Coloris')}">
+            <div class="d-flex gap-1">
+                <select class="form-select form-select-sm" data-gallery-field="view" data-index="${index}">
+                    ${Object.entries(GALLERY_VIEWS).map(([value, label]) =>
+                        `<option value="${value}" ${item.view === value ? 'selected' : ''}>${t(label)}</option>`
+                    ).join('')}
+                </select>
+                <button type="button" class="btn btn-sm btn-outline-primary" data-action="gallery-primary" data-id="${index}" title="${t('Image principale')}" ${index === 0 ? 'disabled' : ''}>
+                    <i class="bi bi-star"></i>
+                </button>
+                <button type="button" class="btn btn-sm btn-outline-danger" data-action="gallery-remove" data-id="${index}" title="${t('Retirer')}">
+                    <i class="bi bi-x-lg"></i>
+                </button>
+            </div>
+        </div>
+    `).join('');
+
+    const preview = document.getElementById('preview-img');
+    if (wingGallery.length > 0) {
+        preview.src = wingGallery[0].previewUrl;
+        preview.classList.remove('d-none');
+        document.getElementById('preview-placeholder').classList.add('d-none');
+    } else {
+        preview.classList.add('d-none');
+        document.getElementById('preview-placeholder').classList.remove('d-none');
+    }
+    renderWingAppPreview();
+}
+
+function moveGalleryItem(from, to) {
+    if (from === to || from < 0 || to < 0 || from >= wingGallery.length || to >= wingGallery.length) return;
+    const [item] = wingGallery.splice(from, 1);
+    wingGallery.splice(to, 0, item);
+    renderWingGallery();
+}
+
+function removeGalleryItem(index) {
+    const [item] = wingGallery.splice(index, 1);
+    if (item && item.source) URL.revokeObjectURL(item.previewUrl);
+    renderWingGallery();
+}
+
+function setupWingGalleryEvents() {
+    const container = document.getElementById('wing-gallery');
+
+    container.addEventListener('input', (e) => {
+        const field = e.target.dataset.galleryField;
+        if (field) wingGallery[Number(e.target.dataset.index)][field] = e.target.value;
+    });
+    container.addEventListener('change', (e) => {
+        const field = e.target.dataset.galleryField;
+        if (field) wingGallery[Number(e.target.dataset.index)][field] = e.target.value;
+    });
+
+    container.addEventListener('dragstart', (e) => {
+        const item = e.target.closest('.gallery-item');
+        if (!item) return;
+        draggedGalleryIndex = Number(item.dataset.index);
+        item.classList.add('dragging');
+        e.dataTransfer.effectAllowed = 'move';
+    });
+    container.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+    });
+    container.addEventListener('drop', (e) => {
+        e.preventDefault();
+        const item = e.target.closest('.gallery-item');
+        if (item && draggedGalleryIndex !== null) {
+            moveGalleryItem(draggedGalleryIndex, Number(item.dataset.index));
+        }
+        draggedGalleryIndex = null;
+    });
+    container.addEventListener('dragend', () => {
+        draggedGalleryIndex = null;
+        container.querySelectorAll('.gallery-item').forEach(el => el.classList.remove('dragging'));
+    });
+}
+
+// Uploads pending images and returns the gallery as stored on the document
+async function uploadWingGallery(wingId) {
+    const gallery = [];
+    for (const [index, item] of wingGallery.entries()) {
+        if (!item.fileId) {
+            const extension = IMAGE_EXTENSIONS[item.blob.type] || 'png';
+            const file = new File([item.blob], `${wingId}-${index + 1}.${extension}`, { type: item.blob.type });
+            const response = await queueCreateFile(WING_IMAGES_BUCKET_ID, Appwrite.ID.unique(), file);
+            // Unsaved until the document points to it (see discardWingGalleryUploads)
+            Object.assign(item, { fileId: response.$id, unsaved: true });
+        }
+        gallery.push({ fileId: item.fileId, colourway: item.colourway.trim(), view: item.view });
+    }
+    return gallery;
+}
+
+// Images uploaded for a save that did not go through: the next attempt uploads them again
+async function discardWingGalleryUploads() {
+    for (const item of wingGallery.filter(item => item.unsaved)) {
+        const fileId = item.fileId;
+        Object.assign(item, { fileId: null, unsaved: false });
+        try {
+            await queueDeleteFile(WING_IMAGES_BUCKET_ID, fileId);
+        } catch (e) {
+            // Ignore if file doesn't exist
+        }
+    }
+}
+
+function markWingGallerySaved() {
+    wingGallery.forEach(item => {
+        item.unsaved = false;
+    });
+}
+
+// Watch thumbnails are downscaled by WingDTO.toDTOWithThumbnail before being sent to the watch
+const WATCH_THUMBNAIL_MAX = 72;
+let appPreviewToken = 0;
+
+// Wing modal preview matching WingRowView, SizeSelectionSheet (iOS) and WingButton (watch)
+function renderWingAppPreview() {
+    const manufacturer = manufacturers.find(m => m.$id === document.getElementById('wing-manufacturer').value);
+    const model = document.getElementById('wing-model').value.trim();
+    const { disciplines, certification } = readWingClassification();
+    const type = composeWingType(disciplines.map(d => formatDiscipline(d)), certification);
+    const description = pickLocalizedText(readWingDescriptions());
+    const year = parseInt(document.getElementById('wing-year').value) || null;
+    const sizes = readSizeRows().map(row => row.size).filter(s => s);
+    const previewImg = document.getElementById('preview-img');
+    const imageUrl = previewImg.classList.contains('d-none') ? null : previewImg.src;
+
+    document.getElementById('app-preview').dataset.theme =
+        document.querySelector('input[name="app-preview-theme"]:checked').value;
+
+    // LibraryWing.fullName uses an empty name when the manufacturer is unknown
+    const fullName = `${manufacturer ? manufacturer.name : ''} ${model}`;
+    const brand = manufacturer ? [escapeHtml(manufacturer.name), '•'] : [];
+    const image = (size) => imageUrl
+        ? `<img src="${escapeHtml(imageUrl)}" alt="">`
+        : `<i class="bi bi-wind" style="font-size: ${size}"></i>`;
+
+    document.getElementById('app-preview-row').innerHTML = `
+        <div class="ios-row-image">${image('1.4rem')}</div>
+        <div class="flex-grow-1 min-w-0">
+            <div class="ios-headline">${escapeHtml(fullName)}</div>
+            <div class="ios-caption">${[...brand, escapeHtml(type), ...(year ? ['•', year] : [])].join(' ')}</div>
+            <div class="ios-caption ios-blue">${sizes.map(s => `${escapeHtml(s)}m²`).join(', ')}</div>
+        </div>
+        <i class="bi bi-chevron-right ios-chevron"></i>
+    `;
+
+    document.getElementById('app-preview-detail').innerHTML = `
+        <div class="ios-detail-image">${image('3.5rem')}</div>
+        <div class="ios-title">${escapeHtml(fullName)}</div>
+        <div class="ios-secondary">${[...brand, escapeHtml(type)].join(' ')}</div>
+        ${description ? `<div class="ios-description">${escapeHtml(description)}</div>` : ''}
+        <div class="ios-secondary ios-section">${t('Choisir la taille')}</div>
+        <div class="ios-size-grid">
+            ${sizes.map(s => `<span class="ios-size-button">${escapeHtml(s)}m</span>`).join('')}
+        </div>
+    `;
+
+    // The watch shows the library wing under its model name, minus a leading "Moustache "
+    const watchName = model.startsWith('Moustache ') ? model.slice('Moustache '.length) : model;
+    document.getElementById('app-preview-watch').innerHTML = `
+        <div class="watch-thumb" id="app-preview-watch-thumb">${imageUrl ? '' : '<i class="bi bi-wind"></i>'}</div>
+        <div class="min-w-0">
+            <div class="watch-name">${escapeHtml(watchName)}</div>
+            ${sizes.length > 0 ? `<div class="watch-size">${escapeHtml(sizes[0])} m²</div>` : ''}
+        </div>
+    `;
+    if (imageUrl) renderWatchThumbnail(imageUrl);
+}
+
+// Draws the image at the watch thumbnail resolution so the preview shows the real loss of detail
+function renderWatchThumbnail(url) {
+    const token = ++appPreviewToken;
+    const showThumbnail = src => {
+        const thumb = document.getElementById('app-preview-watch-thumb');
+        if (thumb) thumb.innerHTML = `<img src="${escapeHtml(src)}" alt="">`;
+    };
+    const img = new Image();
+    img.crossOrigin = 'anonymous';
+    // A bucket without CORS headers fails the anonymous request: the browser-scaled image still shows
+    img.onerror = () => {
+        if (token === appPreviewToken) showThumbnail(url);
+    };
+    img.onload = () => {
+        if (token !== appPreviewToken) return;
+        const scale = Math.min(1, WATCH_THUMBNAIL_MAX / Math.max(img.naturalWidth, img.naturalHeight));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(img.naturalWidth * scale));
+        canvas.height = Math.max(1, Math.round(img.naturalHeight * scale));
+        canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+
+        let src = url;
+        try {
+            src = canvas.toDataURL('image/png');
+        } catch (e) {
+            // Tainted canvas: fall back to the browser-scaled image
+        }
+        showThumbnail(src);
+    };
+    img.src = url;
+}
+
+// Wing CRUD
+function showAddWingModal() {
+    if (!requirePermission('edit')) return;
+    document.getElementById('wing-modal-title').textContent = t('Ajouter une voile');
+    rememberEditingVersion(WINGS_COLLECTION_ID, null);
+    document.getElementById('wing-remote-warning').classList.add('d-none');
+    document.getElementById('wing-id').value = '';
+    document.getElementById('wing-manufacturer').value = '';
+    document.getElementById('wing-model').value = '';
+    setWingClassification(null);
+    setWingDescriptions(null);
+    document.getElementById('wing-year').value = '';
+    document.getElementById('wing-discontinued').checked = false;
+    renderSizeRows([{ size: '', flatArea: null, projectedArea: null, ptvMin: null, ptvMax: null, weight: null, certification: null }]);
+    document.getElementById('wing-image').value = '';
+    setWingGallery([]);
+    wingModal.show();
+}
+
+function editWing(id) {
+    if (!requirePermission('edit')) return;
+    const w = wings.find(w => w.$id === id);
+    if (!w) return;
+
+    document.getElementById('wing-modal-title').textContent = t('Modifier la voile');
+    rememberEditingVersion(WINGS_COLLECTION_ID, w, WING_FIELDS);
+    document.getElementById('wing-remote-warning').classList.add('d-none');
+    document.getElementById('wing-id').value = w.$id;
+    document.getElementById('wing-manufacturer').value = w.manufacturerId;
+    document.getElementById('wing-model').value = w.model;
+    setWingClassification(w);
+    setWingDescriptions(w);
+    document.getElementById('wing-year').value = w.year || '';
+    document.getElementById('wing-discontinued').checked = !!w.discontinued;
+    renderSizeRows(parseSizeSpecs(w));
+    document.getElementById('wing-image').value = '';
+    setWingGallery(parseWingGallery(w));
+
+    wingModal.show();
+}
+
+// Duplicate wing
+function duplicateWing(id) {
+    if (!requirePermission('edit')) return;
+    const w = wings.find(w => w.$id === id);
+    if (!w) return;
+
+    document.getElementById('wing-modal-title').textContent = t('Dupliquer la voile');
+    rememberEditingVersion(WINGS_COLLECTION_ID, null);
+    document.getElementById('wing-remote-warning').classList.add('d-none');
+    document.getElementById('wing-id').value = ''; // Empty ID = create new
+    document.getElementById('wing-manufacturer').value = w.manufacturerId;
+    document.getElementById('wing-model').value = w.model + t(' (copie)');
+    setWingClassification(w);
+    setWingDescriptions(w);
+    document.getElementById('wing-year').value = w.year || '';
+    document.getElementById('wing-discontinued').checked = !!w.discontinued;
+    renderSizeRows(parseSizeSpecs(w));
+    document.getElementById('wing-image').value = '';
+    setWingGallery([]); // Don't copy images
+
+    wingModal.show();
+}
+
+function handleImagePreview() {
+    trackImageWork(addSelectedWingImages());
+}
+
+async function handleWingSubmit(e) {
+    e.preventDefault();
+    if (!requirePermission('edit')) return;
+
+    const { disciplines, certification } = readWingClassification();
+    const sizeRows = readSizeRows();
+    validateSizeRows(sizeRows);
+
+    const id = document.getElementById('wing-id').value;
+    const manufacturerId = document.getElementById('wing-manufacturer').value;
+    const model = document.getElementById('wing-model').value.trim();
+    const year = document.getElementById('wing-year').value ? parseInt(document.getElementById('wing-year').value) : null;
+    const sizes = sizeRows.map(row => row.size);
+    const descriptions = readWingDescriptions();
+    const existing = id ? wings.find(w => w.$id === id) : null;
+
+    const issues = validateWingData({ manufacturerId, model, year, disciplines, certification, sizes, sizeSpecs: serializeSizeSpecs(sizeRows), descriptions });
+    if (issues.length > 0) {
+        showToast(t('Voile invalide: {issues}', { issues: formatValidationIssues(issues) }), 'warning');
+        return;
+    }
+
+    const btn = e.target.querySelector('button[type="submit"]');
+    btn.classList.add('loading');
+    btn.disabled = true;
+
+    try {
+        // Images picked just before submitting are uploaded once processed, not skipped
+        await pendingImageWork;
+
+        // Generate ID for new wing
+        const newId = id || slugify(`${manufacturerId}-${model}`);
+
+        // Checked before uploading so a refused create leaves no orphan images
+        const duplicate = !id && [...wings, ...trashedWings].find(w => w.$id === newId);
+        if (duplicate) {
+            showToast(t(duplicate.deletedAt ? 'La voile {id} existe déjà dans la corbeille' : 'La voile {id} existe déjà', { id: newId }), 'warning', duplicate.deletedAt ? null : {
+                label: t('Ouvrir'),
+                handler: () => editWing(newId)
+            });
+            return;
+        }
+
+        // Upload new gallery images; the primary one stays mirrored in imageFileId
+        const gallery = await uploadWingGallery(newId);
+
+        const data = {
+            manufacturerId,
+            model,
+            type: composeWingType(disciplines, certification),
+            typeLabels: composeWingTypeLabels(disciplines, certification),
+            disciplines,
+            certification,
+            sizes,
+            sizeSpecs: serializeSizeSpecs(sizeRows),
+            descriptions,
+            discontinued: document.getElementById('wing-discontinued').checked,
+            imageFileId: gallery.length > 0 ? gallery[0].fileId : null,
+            gallery: gallery.length > 0 ? JSON.stringify(gallery) : null
+        };
+
+        if (year) {
+            data.year = year;
+        }
+
+        if (id) {
+            // Update
+            const merged = await resolveConcurrentEdit(WINGS_COLLECTION_ID, id, data, wingModal);
+            if (!merged) {
+                await discardWingGalleryUploads();
+                return;
+            }
+            await queueUpdateDocument(WINGS_COLLECTION_ID, id, merged);
+            markWingGallerySaved();
+            await recordAudit('update', WINGS_COLLECTION_ID, id,
+                existing ? pickFields(existing, Object.keys(merged)) : null, merged);
+
+            // Delete images removed from the gallery, once the document no longer points to them
+            // (when their gallery won the merge, leftovers are handled by the image maintenance)
+            // Images the app still shows stay until the next publication (then they become orphans)
+            const keptIds = [
+                ...('gallery' in merged ? gallery.map(item => item.fileId) : (existing ? getWingFileIds(existing) : [])),
+                ...(existing && isVisibleInApp(existing) ? getWingFileIds(existing.$live) : [])
+            ];
+            for (const fileId of (existing ? getWingFileIds(existing) : []).filter(fileId => !keptIds.includes(fileId))) {
+                try {
+                    await queueDeleteFile(WING_IMAGES_BUCKET_ID, fileId);
+                } catch (e) {
+                    // Ignore if file doesn't exist
+                }
+            }
+            showToast(t('Voile mise à jour'), 'success');
+        } else {
+            // Create with custom ID
+            await queueCreateDocument(WINGS_COLLECTION_ID, newId, data);
+            markWingGallerySaved();
+            await recordAudit('create', WINGS_COLLECTION_ID, newId, null, data);
+            showToast(t('Voile créée'), 'success');
+        }
+        wingModal.hide();
+        await loadData();
+    } catch (error) {
+        await discardWingGalleryUploads();
+        showToast(t('Erreur: {message}', { message: error.message }), 'danger');
+    } finally {
+        btn.classList.remove('loading');
+        btn.disabled = false;
+    }
+}
+
+function confirmDeleteWing(id) {
+    if (!requirePermission('delete')) return;
+    const w = wings.find(w => w.$id === id);
+    if (!w) return;
+
+    showDeleteModal(
+        `${getManufacturerName(w.manufacturerId)} ${w.model}`,
+        t('La voile sera placée dans la corbeille et pourra être restaurée.'),
+        async () => {
+            await moveWingToTrash(id);
+            showToast(t('Voile placée dans la corbeille'), 'success', {
+                label: t('Annuler'),
+                handler: () => restoreWingFromTrash(id)
+            });
+            await loadData();
+        }
+    );
+}
+
+function showDeleteModal(name, warning, callback) {
+    document.getElementById('delete-item-name').textContent = name;
+    document.getElementById('delete-warning').textContent = warning;
+    deleteCallback = callback;
+    deleteModal.show();
+}
+
+async function handleDelete() {
+    const btn = document.getElementById('confirm-delete-btn');
+    btn.classList.add('loading');
+    btn.disabled = true;
+
+    try {
+        if (deleteCallback) {
+            await deleteCallback();
+        }
+        deleteModal.hide();
+    } catch (error) {
+        showToast(t('Erreur: {message}', { message: error.message }), 'danger');
+    } finally {
+        btn.classList.remove('loading');
+        btn.disabled = false;
+        deleteCallback = null;
+    }
+}
+
+// Bulk selection & batch operations on wings
+// Each action maps a wing to the attributes to write, or null when it has nothing to change.
+const BATCH_ACTIONS = {
+    manufacturer: {
+        label: 'Changer le fabricant',
+        permission: 'edit',
+        read: () => ({ manufacturerId: document.getElementById('batch-manufacturer').value }),
+        validate: form => form.manufacturerId ? null : t('Choisissez un fabricant'),
+        build: (w, form) => w.manufacturerId === form.manufacturerId ? null : { manufacturerId: form.manufacturerId }
+    },
+    classification: {
+        label: 'Disciplines, homologation et année',
+        permission: 'edit',
+        read: () => ({
+            disciplineMode: document.getElementById('batch-discipline-mode').value,
+            discipline: document.getElementById('batch-discipline').value,
+            certification: document.getElementById('batch-certification').value,
+            year: document.getElementById('batch-year').value ? parseInt(document.getElementById('batch-year').value) : null
+        }),
+        validate: form => form.disciplineMode === 'keep' && form.certification === 'keep' && !form.year
+            ? t('Aucune modification demandée')
+            : null,
+        build: (w, form) => {
+            let disciplines = getWingDisciplines(w);
+            if (form.disciplineMode === 'add' && !disciplines.includes(form.discipline)) {
+                disciplines = [...disciplines, form.discipline];
+            } else if (form.disciplineMode === 'remove') {
+                disciplines = disciplines.filter(d => d !== form.discipline);
+            }
+            const certification = form.certification === 'keep' ? getWingCertification(w) : (form.certification || null);
+            if (disciplines.length === 0 && !certification) {
+                throw new Error(t('aucune discipline ni homologation restante'));
+            }
+
+            const data = {};
+            if (disciplines.join(',') !== getWingDisciplines(w).join(',') || certification !== getWingCertification(w)) {
+                Object.assign(data, { disciplines, certification, type: composeWingType(disciplines, certification), typeLabels: composeWingTypeLabels(disciplines, certification) });
+            }
+            if (form.year && form.year !== w.year) data.year = form.year;
+            return Object.keys(data).length > 0 ? data : null;
+        }
+    },
+    'add-size': {
+        label: 'Ajouter une taille',
+        permission: 'edit',
+        read: () => ({ size: document.getElementById('batch-size').value.trim() }),
+        validate: form => form.size ? null : t('Indiquez une taille'),
+        build: (w, form) => (w.sizes || []).includes(form.size) ? null : { sizes: [...(w.sizes || []), form.size] }
+    },
+    'remove-size': {
+        label: 'Retirer une taille',
+        permission: 'edit',
+        read: () => ({ size: document.getElementById('batch-size').value.trim() }),
+        validate: form => form.size ? null : t('Indiquez une taille'),
+        build: (w, form) => {
+            if (!(w.sizes || []).includes(form.size)) return null;
+            if (w.sizes.length === 1) throw new Error(t('dernière taille de la voile'));
+            const sizes = w.sizes.filter(s => s !== form.size);
+            // Keep the stored specs aligned with the remaining sizes
+            return { sizes, sizeSpecs: serializeSizeSpecs(parseSizeSpecs({ ...w, sizes })) };
+        }
+    },
+    discontinued: {
+        label: 'Marquer comme arrêtée',
+        permission: 'edit',
+        read: () => ({ discontinued: document.getElementById('batch-discontinued').value === 'true' }),
+        validate: () => null,
+        build: (w, form) => !!w.discontinued === form.discontinued ? null : { discontinued: form.discontinued }
+    },
+    delete: {
+        label: 'Supprimer',
+        permission: 'delete',
+        read: () => ({}),
+        validate: () => null
+    }
+};
+
+let batchAction = null;
+
+function toggleWingSelection(id, checked) {
+    if (checked) {
+        selectedWingIds.add(id);
+    } else {
+        selectedWingIds.delete(id);
+    }
+    renderWingSelection();
+}
+
+function selectAllVisibleWings(checked) {
+    getFilteredWings().forEach(w => {
+        if (checked) {
+            selectedWingIds.add(w.$id);
+        } else {
+            selectedWingIds.delete(w.$id);
+        }
+    });
+    renderWings();
+}
+
+function clearWingSelection() {
+    selectedWingIds.clear();
+    renderWings();
+}
+
+// Called after each render: drops ids that left the catalogue and syncs the batch bar
+function renderWingSelection() {
+    selectedWingIds.forEach(id => {
+        if (!wings.some(w => w.$id === id)) selectedWingIds.delete(id);
+    });
+
+    const visibleIds = getFilteredWings().map(w => w.$id);
+    const selectAll = document.getElementById('select-all-wings');
+    const visibleSelected = visibleIds.filter(id => selectedWingIds.has(id)).length;
+    selectAll.checked = visibleIds.length > 0 && visibleSelected === visibleIds.length;
+    selectAll.indeterminate = visibleSelected > 0 && visibleSelected < visibleIds.length;
+
+    document.getElementById('wing-selection-count').textContent = selectedWingIds.size > 0
+        ? t('{count} sélectionnée(s)', { count: selectedWingIds.size })
+        : t('Aucune sélection');
+    document.querySelectorAll('#wing-batch-bar [data-action="open-batch"], #wing-batch-bar [data-action="clear-wing-selection"]').forEach(btn => {
+        btn.disabled = selectedWingIds.size === 0;
+    });
+    document.querySelectorAll('.wing-select').forEach(input => {
+        input.checked = selectedWingIds.has(input.dataset.id);
+        input.closest('.wing-drag-item, tr')?.classList.toggle('selected', input.checked);
+    });
+}
+
+function showBatchModal(action) {
+    const config = BATCH_ACTIONS[action];
+    if (!config || !requirePermission(config.permission)) return;
+    if (selectedWingIds.size === 0) return;
+
+    batchAction = action;
+    document.getElementById('batch-modal-title').textContent = `${t(config.label)} (${t('{count} voile(s)', { count: selectedWingIds.size })})`;
+    document.querySelectorAll('#batch-modal [data-batch-section]').forEach(section => {
+        section.classList.toggle('d-none', !section.dataset.batchSection.split(' ').includes(action));
+    });
+
+    document.getElementById('batch-manufacturer').innerHTML = `<option value="">${t('Sélectionner...')}</option>`
+        + manufacturers.map(m => `<option value="${escapeHtml(m.$id)}">${escapeHtml(m.name)}</option>`).join('');
+    document.getElementById('batch-discipline').innerHTML = WING_DISCIPLINES.map(d => `<option value="${escapeHtml(d)}">${escapeHtml(formatDiscipline(d))}</option>`).join('');
+    document.getElementById('batch-certification').innerHTML = `<option value="keep">${t('Ne pas modifier')}</option><option value="">${t('Non homologuée')}</option>`
+        + CERTIFICATION_CLASSES.map(c => `<option value="${c}">${c}</option>`).join('');
+    document.getElementById('batch-discipline-mode').value = 'keep';
+    document.getElementById('batch-year').value = '';
+    document.getElementById('batch-size').value = '';
+    document.getElementById('batch-discontinued').value = 'true';
+
+    document.getElementById('batch-wing-list').innerHTML = wings
+        .filter(w => selectedWingIds.has(w.$id))
+        .map(w => `<span class="badge bg-light text-dark me-1 mb-1">${escapeHtml(getManufacturerName(w.manufacturerId))} ${escapeHtml(w.model)}</span>`)
+        .join('');
+    document.getElementById('batch-results').innerHTML = '';
+    document.getElementById('batch-progress').textContent = '';
+
+    const btn = document.getElementById('apply-batch-btn');
+    btn.disabled = false;
+    btn.classList.toggle('btn-danger', action === 'delete');
+    btn.classList.toggle('btn-primary', action !== 'delete');
+    batchModal.show();
+}
+
+async function applyBatch() {
+    const config = BATCH_ACTIONS[batchAction];
+    if (!config || !requirePermission(config.permission)) return;
+
+    const form = config.read();
+    const error = config.validate(form);
+    if (error) {
+        showToast(error, 'warning');
+        return;
+    }
+
+    const btn = document.getElementById('apply-batch-btn');
+    const progress = document.getElementById('batch-progress');
+    btn.classList.add('loading');
+    btn.disabled = true;
+
+    const targets = wings.filter(w => selectedWingIds.has(w.$id));
+    const results = [];
+
+    // Sequential writes to avoid rate limit
+    for (const [index, w] of targets.entries()) {
+        progress.textContent = `${index + 1} / ${targets.length}`;
+        const name = `${getManufacturerName(w.manufacturerId)} ${w.model}`;
+        try {
+            if (batchAction === 'delete') {
+                await moveWingToTrash(w.$id);
+                results.push({ name, status: 'success', detail: t('placée dans la corbeille') });
+                continue;
+            }
+
+            const data = config.build(w, form);
+            if (!data) {
+                results.push({ name, status: 'skipped', detail: t('déjà à jour') });
+                continue;
+            }
+            // Only problems on the fields this action writes block it
+            const issues = validateWingData({ ...w, ...data }).filter(issue => issue.field in data);
+            if (issues.length > 0) {
+                results.push({ name, status: 'failed', detail: formatValidationIssues(issues) });
+                continue;
+            }
+            await queueUpdateDocument(WINGS_COLLECTION_ID, w.$id, data);
+            await recordAudit('update', WINGS_COLLECTION_ID, w.$id, pickFields(w, Object.keys(data)), data);
+            results.push({ name, status: 'success', detail: Object.keys(data).join(', ') });
+        } catch (error) {
+            results.push({ name, status: 'failed', detail: error.message });
+        }
+    }
+
+    btn.classList.remove('loading');
+    renderBatchResults(results);
+
+    const failed = results.filter(r => r.status === 'failed').length;
+    showToast(t('{action}: {done} / {total} réussies', { action: t(config.label), done: results.length - failed, total: results.length }), failed > 0 ? 'warning' : 'success');
+
+    // Failed wings stay selected so the action can be retried on them alone
+    selectedWingIds = new Set(targets.filter((w, i) => results[i].status === 'failed').map(w => w.$id));
+    await loadData();
+}
+
+const BATCH_RESULT_LABELS = {
+    success: { label: 'OK', badge: 'bg-success' },
+    skipped: { label: 'Inchangée', badge: 'bg-secondary' },
+    failed: { label: 'Échec', badge: 'bg-danger' }
+};
+
+function renderBatchResults(results) {
+    document.getElementById('batch-results').innerHTML = `
+        <table class="table table-sm mb-0">
+            <tbody>
+                ${results.map(r => `
+                    <tr>
+                        <td><span class="badge ${BATCH_RESULT_LABELS[r.status].badge}">${t(BATCH_RESULT_LABELS[r.status].label)}</span></td>
+                        <td>${escapeHtml(r.name)}</td>
+                        <td class="small ${r.status === 'failed' ? 'text-danger' : 'text-muted'}">${escapeHtml(r.detail)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+// Bulk import (CSV / JSON)
+const IMPORT_STATUS_LABELS = {
+    new: { label: 'Nouveau', badge: 'bg-success' },
+    updated: { label: 'Modifié', badge: 'bg-primary' },
+    unchanged: { label: 'Inchangé', badge: 'bg-secondary' },
+    invalid: { label: 'Invalide', badge: 'bg-danger' }
+};
+
+function showImportModal() {
+    if (!requirePermission('import')) return;
+    importPlan = null;
+    document.getElementById('import-file').value = '';
+    document.getElementById('import-summary').innerHTML = '';
+    document.getElementById('import-preview').innerHTML = '';
+    document.getElementById('import-progress').textContent = '';
+    document.getElementById('confirm-import-btn').disabled = true;
+    importModal.show();
+}
+
+async function handleImportFile(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    try {
+        const text = await file.text();
+        const rows = file.name.toLowerCase().endsWith('.json')
+            ? parseImportJson(text)
+            : parseImportCsv(text);
+
+        if (rows.length === 0) {
+            throw new Error(t('aucune ligne trouvée'));
+        }
+
+        importPlan = buildImportPlan(rows);
+        renderImportPlan();
+    } catch (error) {
+        importPlan = null;
+        document.getElementById('import-summary').innerHTML = '';
+        document.getElementById('import-preview').innerHTML = '';
+        document.getElementById('confirm-import-btn').disabled = true;
+        showToast(t('Fichier illisible: {message}', { message: error.message }), 'danger');
+    }
+}
+
+// Minimal RFC 4180 parser: quoted fields, escaped quotes, ',' or ';' delimiter
+function parseCsv(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (inQuotes) {
+            if (c === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (c === '"') {
+                inQuotes = false;
+            } else {
+                field += c;
+            }
+        } else if (c === '"') {
+            inQuotes = true;
+        } else if (c === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += c;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+function normalizeHeader(header) {
+    return header.trim().toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+const IMPORT_COLUMN_ALIASES = {
+    manufacturer: ['manufacturer', 'manufacturerid', 'fabricant'],
+    model: ['model', 'modele'],
+    type: ['type'],
+    disciplines: ['disciplines', 'discipline'],
+    certification: ['certification', 'homologation'],
+    year: ['year', 'annee'],
+    sizes: ['sizes', 'tailles']
+};
+
+function parseImportCsv(text) {
+    const [header, ...lines] = parseCsv(text);
+    if (!header) return [];
+
+    const headers = header.map(normalizeHeader);
+    const columns = {};
+    for (const [key, aliases] of Object.entries(IMPORT_COLUMN_ALIASES)) {
+        columns[key] = headers.findIndex(h => aliases.includes(h));
+    }
+
+    const missing = ['manufacturer', 'model'].filter(key => columns[key] === -1);
+    if (missing.length > 0) {
+        throw new Error(t('colonnes manquantes: {columns}', { columns: missing.join(', ') }));
+    }
+
+    return lines.map((cells, index) => {
+        const row = { line: index + 2 };
+        for (const key of Object.keys(IMPORT_COLUMN_ALIASES)) {
+            row[key] = columns[key] === -1 ? '' : (cells[columns[key]] || '');
+        }
+        return row;
+    });
+}
+
+// Accepts a plain array of rows or a WingCatalog-shaped object ({ manufacturers, wings })
+function parseImportJson(text) {
+    const json = JSON.parse(text);
+    const items = Array.isArray(json) ? json : json.wings;
+    if (!Array.isArray(items)) {
+        throw new Error(t('un tableau de voiles est attendu'));
+    }
+
+    const catalogManufacturers = Array.isArray(json.manufacturers) ? json.manufacturers : [];
+
+    return items.map((item, index) => {
+        const manufacturerId = item.manufacturerId || item.manufacturer || '';
+        const catalogManufacturer = catalogManufacturers.find(m => (m.id || m.$id) === manufacturerId);
+        return {
+            line: index + 1,
+            manufacturer: catalogManufacturer ? catalogManufacturer.name : (item.manufacturerName || manufacturerId),
+            model: item.model || '',
+            type: item.type || '',
+            disciplines: item.disciplines || '',
+            certification: item.certification || '',
+            year: item.year != null ? String(item.year) : '',
+            sizes: item.sizes || ''
+        };
+    });
+}
+
+function buildImportPlan(rawRows) {
+    const newManufacturers = new Map();
+    const seenIds = new Set();
+
+    const rows = rawRows.map(raw => {
+        const manufacturerName = String(raw.manufacturer || '').trim();
+        const model = String(raw.model || '').trim();
+        const type = String(raw.type || '').trim();
+        let disciplines = (Array.isArray(raw.disciplines) ? raw.disciplines : String(raw.disciplines || '').split(/[,;|]/))
+            .map(d => String(d).trim())
+            .filter(d => d);
+        let certification = String(raw.certification || '').trim() || null;
+        const yearText = String(raw.year || '').trim();
+        const sizes = (Array.isArray(raw.sizes) ? raw.sizes : String(raw.sizes).split(/[,;|]/))
+            .map(s => String(s).trim())
+            .filter(s => s);
+        const year = yearText ? Number(yearText) : null;
+
+        const errors = [];
+        if (!manufacturerName) errors.push(t('fabricant manquant'));
+        if (!model) errors.push(t('modèle manquant'));
+        // The legacy type column only applies when the file has no classification of its own
+        if (disciplines.length === 0 && !certification && type) {
+            const legacy = classifyLegacyType(type);
+            if (legacy) {
+                ({ disciplines, certification } = legacy);
+            } else {
+                errors.push(t('type inconnu "{value}"', { value: type }));
+            }
+        }
+        if (yearText && !Number.isInteger(year)) errors.push(t('année invalide "{value}"', { value: yearText }));
+
+        const row = { line: raw.line, manufacturerName, model, disciplines, certification, year, sizes, errors, changes: [] };
+
+        if (errors.length === 0) {
+            row.manufacturerId = resolveImportManufacturer(manufacturerName, newManufacturers);
+            row.wingId = slugify(`${row.manufacturerId}-${model}`);
+            row.existing = wings.find(w => w.$id === row.wingId);
+
+            if (trashedWings.some(w => w.$id === row.wingId)) {
+                errors.push(t('voile dans la corbeille, restaurez-la d\'abord'));
+            }
+
+            if (seenIds.has(row.wingId)) {
+                errors.push(t('doublon dans le fichier'));
+            }
+            seenIds.add(row.wingId);
+
+            // Same rules as the editor, on the document as it will be after the import
+            const updates = {};
+            if (disciplines.length > 0) updates.disciplines = disciplines;
+            if (certification) updates.certification = certification;
+            if (year !== null) updates.year = year;
+            if (sizes.length > 0) updates.sizes = sizes;
+            const candidate = row.existing ? { ...row.existing, ...updates } : { manufacturerId: row.manufacturerId, model, ...updates };
+            const manufacturerIds = [...manufacturers.map(m => m.$id), ...newManufacturers.keys()];
+            // Like applyBatch, an update is only blocked by problems on the fields it writes
+            validateWingData(candidate, manufacturerIds)
+                .filter(issue => !row.existing || issue.field in updates)
+                .forEach(issue => errors.push(issue.message));
+        }
+
+        if (errors.length > 0) {
+            row.status = 'invalid';
+        } else if (!row.existing) {
+            row.status = 'new';
+        } else {
+            row.changes = diffImportRow(row, row.existing);
+            row.status = row.changes.length > 0 ? 'updated' : 'unchanged';
+        }
+
+        return row;
+    });
+
+    // Only create manufacturers that are actually needed by a valid row
+    const usedIds = new Set(rows.filter(r => r.status === 'new').map(r => r.manufacturerId));
+    return {
+        manufacturers: [...newManufacturers.values()].filter(m => usedIds.has(m.id)),
+        rows
+    };
+}
+
+function resolveImportManufacturer(name, newManufacturers) {
+    const id = slugify(name);
+    const existing = manufacturers.find(m =>
+        m.$id === name || m.$id === id || m.name.toLowerCase() === name.toLowerCase()
+    );
+    if (existing) return existing.$id;
+
+    if (!newManufacturers.has(id)) {
+        newManufacturers.set(id, {
+            id,
+            name,
+            displayOrder: manufacturers.length + newManufacturers.size
+        });
+    }
+    return id;
+}
+
+// Empty cells in the import file leave the remote value untouched
+function diffImportRow(row, wing) {
+    const changes = [];
+    if (row.disciplines.length > 0 && row.disciplines.join(',') !== getWingDisciplines(wing).join(',')) {
+        changes.push({ field: 'disciplines', from: getWingDisciplines(wing).join(', '), to: row.disciplines.join(', ') });
+    }
+    if (row.certification && row.certification !== getWingCertification(wing)) {
+        changes.push({ field: 'certification', from: getWingCertification(wing), to: row.certification });
+    }
+    if (row.year !== null && row.year !== (wing.year || null)) {
+        changes.push({ field: 'year', from: wing.year || null, to: row.year });
+    }
+    if (row.sizes.length > 0 && row.sizes.join(',') !== (wing.sizes || []).join(',')) {
+        changes.push({ field: 'sizes', from: (wing.sizes || []).join(', '), to: row.sizes.join(', ') });
+    }
+    return changes;
+}
+
+function renderImportPlan() {
+    const counts = { new: 0, updated: 0, unchanged: 0, invalid: 0 };
+    importPlan.rows.forEach(r => counts[r.status]++);
+
+    const summary = Object.entries(IMPORT_STATUS_LABELS)
+        .map(([status, s]) => `<span class="badge ${s.badge} me-1">${t(s.label)}: ${counts[status]}</span>`)
+        .join('');
+    const newManufacturers = importPlan.manufacturers.length > 0
+        ? `<div class="small text-muted mt-2">${t('Fabricants à créer: {names}', { names: importPlan.manufacturers.map(m => escapeHtml(m.name)).join(', ') })}</div>`
+        : '';
+    document.getElementById('import-summary').innerHTML = summary + newManufacturers;
+
+    document.getElementById('import-preview').innerHTML = `
+        <table class="table table-sm mb-0">
+            <thead>
+                <tr>
+                    <th>${t('Ligne')}</th>
+                    <th>${t('Statut')}</th>
+                    <th>${t('Fabricant')}</th>
+                    <th>${t('Modèle')}</th>
+                    <th>${t('Classification')}</th>
+                    <th>${t('Année')}</th>
+                    <th>${t('Tailles')}</th>
+                    <th>${t('Détails')}</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${importPlan.rows.map(r => `
+                    <tr>
+                        <td class="text-muted">${r.line}</td>
+                        <td><span class="badge ${IMPORT_STATUS_LABELS[r.status].badge}">${t(IMPORT_STATUS_LABELS[r.status].label)}</span></td>
+                        <td>${escapeHtml(r.manufacturerName)}</td>
+                        <td><strong>${escapeHtml(r.model)}</strong></td>
+                        <td>${escapeHtml([r.disciplines.map(d => formatDiscipline(d)).join(', '), r.certification].filter(v => v).join(' · '))}</td>
+                        <td>${r.year !== null && !isNaN(r.year) ? r.year : ''}</td>
+                        <td>${r.sizes.map(s => `<span class="size-chip">${escapeHtml(s)}</span>`).join(' ')}</td>
+                        <td class="small">
+                            ${r.status === 'invalid' ? `<span class="text-danger">${escapeHtml(r.errors.join(', '))}</span>` : ''}
+                            ${r.changes.map(c => `<div><code>${c.field}</code>: ${escapeHtml(String(c.from ?? '-'))} → ${escapeHtml(String(c.to))}</div>`).join('')}
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+
+    document.getElementById('confirm-import-btn').disabled = counts.new + counts.updated === 0;
+}
+
+async function applyImport() {
+    if (!requirePermission('import')) return;
+    if (!importPlan) return;
+
+    const btn = document.getElementById('confirm-import-btn');
+    const progress = document.getElementById('import-progress');
+    btn.classList.add('loading');
+    btn.disabled = true;
+
+    const pendingRows = importPlan.rows.filter(r => r.status === 'new' || r.status === 'updated');
+    const total = importPlan.manufacturers.length + pendingRows.length;
+    const failures = [];
+    let done = 0;
+
+    // Sequential writes to avoid rate limit
+    for (const m of importPlan.manufacturers) {
+        progress.textContent = `${++done} / ${total}`;
+        try {
+            await queueCreateDocument(MANUFACTURERS_COLLECTION_ID, m.id, {
+                name: m.name,
+                displayOrder: m.displayOrder
+            });
+            await recordAudit('create', MANUFACTURERS_COLLECTION_ID, m.id, null, { name: m.name, displayOrder: m.displayOrder });
+        } catch (error) {
+            failures.push(`${m.name}: ${error.message}`);
+        }
+    }
+
+    for (const r of pendingRows) {
+        progress.textContent = `${++done} / ${total}`;
+        try {
+            if (r.status === 'new') {
+                const data = {
+                    manufacturerId: r.manufacturerId,
+                    model: r.model,
+                    type: composeWingType(r.disciplines, r.certification),
+                    typeLabels: composeWingTypeLabels(r.disciplines, r.certification),
+                    disciplines: r.disciplines,
+                    certification: r.certification,
+                    sizes: r.sizes,
+                    imageFileId: null
+                };
+                if (r.year) {
+                    data.year = r.year;
+                }
+                await queueCreateDocument(WINGS_COLLECTION_ID, r.wingId, data);
+                await recordAudit('create', WINGS_COLLECTION_ID, r.wingId, null, data);
+            } else {
+                const data = {};
+                r.changes.forEach(c => {
+                    data[c.field] = c.field === 'sizes' ? r.sizes : c.to;
+                });
+                // Keep the stored specs aligned with the new sizes, as the batch size actions do
+                if (data.sizes !== undefined) {
+                    const sizeSpecs = serializeSizeSpecs(parseSizeSpecs({ ...r.existing, sizes: data.sizes }));
+                    if (!isSameValue(sizeSpecs, r.existing.sizeSpecs)) data.sizeSpecs = sizeSpecs;
+                }
+                // Classification is written as a whole so `type` stays in sync
+                if (data.disciplines !== undefined || data.certification !== undefined) {
+                    data.disciplines = r.disciplines.length > 0 ? r.disciplines : getWingDisciplines(r.existing);
+                    data.certification = r.certification || getWingCertification(r.existing);
+                    data.type = composeWingType(data.disciplines, data.certification);
+                    data.typeLabels = composeWingTypeLabels(data.disciplines, data.certification);
+                }
+                await queueUpdateDocument(WINGS_COLLECTION_ID, r.wingId, data);
+                await recordAudit('update', WINGS_COLLECTION_ID, r.wingId, pickFields(r.existing, Object.keys(data)), data);
+            }
+        } catch (error) {
+            failures.push(`${r.manufacturerName} ${r.model}: ${error.message}`);
+        }
+    }
+
+    btn.classList.remove('loading');
+
+    if (failures.length > 0) {
+        showToast(t('Import terminé avec {count} erreur(s): {failures}', { count: failures.length, failures: failures.join(' ; ') }), 'warning');
+    } else {
+        showToast(t('Import terminé: {count} élément(s) enregistré(s)', { count: total }), 'success');
+        importModal.hide();
+    }
+
+    // The plan is stale once written: a retry must re-read the file against fresh data
+    importPlan = null;
+    progress.textContent = '';
+    document.getElementById('import-file').value = '';
+    document.getElementById('import-preview').innerHTML = '';
+    await loadData();
+}
+
+// Catalogue export (WingCatalog snapshot, see WingLibraryService.swift)
+const CATALOG_FORMAT_VERSION = 'appwrite-1.0';
+
+// Swift's .iso8601 decoding strategy rejects fractional seconds
+function toSwiftIsoDate(date) {
+    return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+// 'live' is the published catalogue, 'next' the admin view with drafts applied (see buildAppCatalog)
+function buildCatalogSnapshot(mode) {
+    if (!isCatalogComplete()) {
+        throw new Error(t('catalogue incomplet, rechargez avant d\'exporter'));
+    }
+
+    const now = new Date();
+    const stamp = toSwiftIsoDate(now).replace(/[-:]/g, '').replace('T', '.').replace('Z', '');
+
+    const catalog = buildAppCatalog(mode);
+    const sortedManufacturers = [...catalog.manufacturers].sort((a, b) =>
+        (a.displayOrder || 0) - (b.displayOrder || 0) || a.$id.localeCompare(b.$id)
+    );
+    const sortedWings = [...catalog.wings].sort((a, b) =>
+        (a.displayOrder || 0) - (b.displayOrder || 0) || a.model.localeCompare(b.model) || a.$id.localeCompare(b.$id)
+    );
+
+    return {
+        version: `${CATALOG_FORMAT_VERSION}+${stamp}`,
+        lastUpdated: toSwiftIsoDate(now),
+        manufacturers: sortedManufacturers.map(m => {
+            const manufacturer = {
+                id: m.$id,
+                name: m.name,
+                displayOrder: m.displayOrder || 0
+            };
+            // Profile keys are ignored by the iOS decoder, kept so restores bring them back
+            if (m.logoFileId) manufacturer.logoFileId = m.logoFileId;
+            if (m.country) manufacturer.country = m.country;
+            if (m.website) manufacturer.website = m.website;
+            if (m.defunct) manufacturer.defunct = true;
+            if (m.description) manufacturer.description = m.description;
+            return manufacturer;
+        }),
+        wings: sortedWings.map(w => {
+            const manufacturer = catalog.manufacturers.find(m => m.$id === w.manufacturerId);
+            const wing = {
+                id: w.$id,
+                manufacturer: w.manufacturerId,
+                model: w.model,
+                fullName: `${manufacturer ? manufacturer.name : ''} ${w.model}`,
+                type: w.type,
+                sizes: w.sizes || [],
+                displayOrder: w.displayOrder || 0
+            };
+            // Optionals are omitted like JSONEncoder does for nil values
+            if (w.imageFileId) wing.imageFileId = w.imageFileId;
+            if (w.year) wing.year = w.year;
+            // Extra keys ignored by the iOS decoder, kept so restores bring them back
+            if (w.discontinued) wing.discontinued = true;
+            if (isClassified(w)) {
+                wing.disciplines = w.disciplines || [];
+                if (w.certification) wing.certification = w.certification;
+            }
+            if (w.gallery) wing.gallery = parseWingGallery(w);
+            if (w.sizeSpecs) wing.sizeSpecs = JSON.parse(serializeSizeSpecs(parseSizeSpecs(w)) || '[]');
+            if (w.typeLabels) wing.typeLabels = parseLocalizedText(w.typeLabels);
+            if (w.descriptions) wing.descriptions = parseLocalizedText(w.descriptions);
+            return wing;
+        })
+    };
+}
+
+// The snapshot matches what the app ships: unpublished edits and documents are left out
+function exportCatalogJson() {
+    let snapshot;
+    try {
+        snapshot = buildCatalogSnapshot('live');
+    } catch (error) {
+        showToast(t('Export impossible: {message}', { message: error.message }), 'warning');
+        return;
+    }
+
+    downloadFile(
+        `wing-catalog-${snapshot.version.split('+')[1]}.json`,
+        JSON.stringify(snapshot, null, 2) + '\n',
+        'application/json'
+    );
+    showToast(t('Catalogue exporté ({count} voiles)', { count: snapshot.wings.length }), 'success');
+}
+
+// Same columns as the bulk import so an export can be edited and re-imported:
+// it holds the drafts, like the editors
+function exportCatalogCsv() {
+    let snapshot;
+    try {
+        snapshot = buildCatalogSnapshot('next');
+    } catch (error) {
+        showToast(t('Export impossible: {message}', { message: error.message }), 'warning');
+        return;
+    }
+
+    const names = Object.fromEntries(snapshot.manufacturers.map(m => [m.id, m.name]));
+    const header = ['id', 'manufacturer', 'model', 'type', 'disciplines', 'certification', 'year', 'sizes', 'imageFileId', 'displayOrder'];
+    const lines = snapshot.wings.map(w => [
+        w.id,
+        names[w.manufacturer] || w.manufacturer,
+        w.model,
+        w.type,
+        (w.disciplines || []).join('|'),
+        w.certification || '',
+        w.year || '',
+        w.sizes.join('|'),
+        w.imageFileId || '',
+        w.displayOrder
+    ].map(toCsvField).join(','));
+
+    downloadFile(
+        `wing-catalog-draft-${snapshot.version.split('+')[1]}.csv`,
+        [header.join(','), ...lines].join('\n') + '\n',
+        'text/csv'
+    );
+    showToast(t('Catalogue exporté ({count} voiles)', { count: snapshot.wings.length }), 'success');
+}
+
+function toCsvField(value) {
+    const text = String(value);
+    return /[",;\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Catalogue restore from a JSON snapshot
+const RESTORE_KIND_LABELS = {
+    create: { label: 'Créer', badge: 'bg-success' },
+    update: { label: 'Modifier', badge: 'bg-primary' },
+    delete: { label: 'Supprimer', badge: 'bg-danger' }
+};
+
+
+function showRestoreModal() {
+    if (!requirePermission('restore')) return;
+
+    // A partial catalogue would turn every unloaded document into a create/delete
+    if (!isCatalogComplete()) {
+        showToast(t('Catalogue incomplet: rechargez avant de restaurer'), 'warning');
+        return;
+    }
+
+    restorePlan = null;
+    restoreLog = [];
+    document.getElementById('restore-file').value = '';
+    document.getElementById('restore-summary').innerHTML = '';
+    document.getElementById('restore-preview').innerHTML = '';
+    document.getElementById('restore-log').innerHTML = '';
+    setRestoreProgress(0, 0);
+    document.getElementById('confirm-restore-btn').disabled = true;
+    document.getElementById('rollback-restore-btn').classList.add('d-none');
+    restoreModal.show();
+}
+
+async function handleRestoreFile(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    try {
+        const snapshot = JSON.parse(await file.text());
+        validateCatalogSnapshot(snapshot);
+        restorePlan = buildRestorePlan(snapshot);
+        renderRestorePlan();
+    } catch (error) {
+        restorePlan = null;
+        document.getElementById('restore-summary').innerHTML = '';
+        document.getElementById('restore-preview').innerHTML = '';
+        document.getElementById('confirm-restore-btn').disabled = true;
+        showToast(t('Snapshot invalide: {message}', { message: error.message }), 'danger');
+    }
+}
+
+function validateCatalogSnapshot(snapshot) {
+    if (!snapshot || !Array.isArray(snapshot.manufacturers) || !Array.isArray(snapshot.wings)) {
+        throw new Error(t('les tableaux manufacturers et wings sont requis'));
+    }
+    snapshot.manufacturers.forEach((m, i) => {
+        if (!m.id || !m.name) throw new Error(t('fabricant #{number} sans id ou nom', { number: i + 1 }));
+    });
+    snapshot.wings.forEach((w, i) => {
+        if (!w.id || !w.manufacturer || !w.model) throw new Error(t('voile #{number} sans id, fabricant ou modèle', { number: i + 1 }));
+    });
+}
+
+// Maps snapshot entries back to Appwrite document attributes
+function snapshotManufacturerData(m) {
+    return {
+        name: m.name,
+        displayOrder: m.displayOrder || 0,
+        logoFileId: m.logoFileId || null,
+        country: m.country || null,
+        website: m.website || null,
+        defunct: m.defunct === true,
+        description: m.description || null
+    };
+}
+
+function snapshotWingData(w) {
+    return {
+        manufacturerId: w.manufacturer,
+        model: w.model,
+        type: w.type || '',
+        disciplines: Array.isArray(w.disciplines) ? w.disciplines : [],
+        certification: w.certification || null,
+        sizes: w.sizes || [],
+        sizeSpecs: Array.isArray(w.sizeSpecs) && w.sizeSpecs.length > 0 ? JSON.stringify(w.sizeSpecs) : null,
+        imageFileId: w.imageFileId || null,
+        gallery: Array.isArray(w.gallery) && w.gallery.length > 0 ? JSON.stringify(w.gallery) : null,
+        year: w.year || null,
+        discontinued: w.discontinued === true,
+        displayOrder: w.displayOrder || 0,
+        typeLabels: w.typeLabels && Object.keys(w.typeLabels).length > 0 ? JSON.stringify(w.typeLabels) : null,
+        descriptions: w.descriptions && Object.keys(w.descriptions).length > 0 ? JSON.stringify(w.descriptions) : null,
+        deletedAt: null
+    };
+}
+
+function pickFields(doc, fields) {
+    const data = {};
+    fields.forEach(f => {
+        data[f] = doc[f] === undefined ? null : doc[f];
+    });
+    return data;
+}
+
+function isSameValue(a, b) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+function diffRestoreDocuments(collectionId, label, remoteDocs, snapshotEntries, toData, fields) {
+    const operations = [];
+    const snapshotIds = new Set(snapshotEntries.map(e => e.id));
+
+    snapshotEntries.forEach(entry => {
+        const after = toData(entry);
+        const remote = remoteDocs.find(d => d.$id === entry.id);
+        if (!remote) {
+            operations.push({ collectionId, kind: 'create', id: entry.id, label: label(after), before: null, after, changes: [] });
+            return;
+        }
+
+        const before = pickFields(remote, fields);
+        const changes = fields.filter(f => !isSameValue(before[f], after[f]));
+        if (changes.length > 0) {
+            operations.push({ collectionId, kind: 'update', id: entry.id, label: label(after), before, after, changes });
+        }
+    });
+
+    remoteDocs.filter(d => !snapshotIds.has(d.$id)).forEach(remote => {
+        const before = pickFields(remote, fields);
+        operations.push({ collectionId, kind: 'delete', id: remote.$id, label: label(before), before, after: null, changes: [] });
+    });
+
+    return operations;
+}
+
+function buildRestorePlan(snapshot) {
+    const names = Object.fromEntries([
+        ...manufacturers.map(m => [m.$id, m.name]),
+        ...snapshot.manufacturers.map(m => [m.id, m.name])
+    ]);
+    const manufacturerOps = diffRestoreDocuments(
+        MANUFACTURERS_COLLECTION_ID, d => d.name, manufacturers, snapshot.manufacturers,
+        snapshotManufacturerData, MANUFACTURER_FIELDS
+    );
+    // Trashed wings still exist remotely: restoring one clears its deletedAt
+    const wingOps = diffRestoreDocuments(
+        WINGS_COLLECTION_ID, d => `${names[d.manufacturerId] || d.manufacturerId} ${d.model}`, [...wings, ...trashedWings], snapshot.wings,
+        snapshotWingData, [...WING_FIELDS, 'deletedAt']
+    );
+
+    // Parents are written before children and deleted after them
+    const operations = [
+        ...manufacturerOps.filter(op => op.kind !== 'delete'),
+        ...wingOps.filter(op => op.kind !== 'delete'),
+        ...wingOps.filter(op => op.kind === 'delete'),
+        ...manufacturerOps.filter(op => op.kind === 'delete')
+    ];
+    operations.forEach(op => {
+        op.take = true;
+    });
+
+    return { version: snapshot.version || '?', lastUpdated: snapshot.lastUpdated || '', operations };
+}
+
+function renderRestorePlan() {
+    const ops = restorePlan.operations;
+    const counts = { create: 0, update: 0, delete: 0 };
+    ops.forEach(op => counts[op.kind]++);
+
+    document.getElementById('restore-summary').innerHTML = `
+        <div class="small text-muted mb-2">Snapshot <code>${escapeHtml(restorePlan.version)}</code> ${escapeHtml(restorePlan.lastUpdated)}</div>
+        ${Object.entries(RESTORE_KIND_LABELS).map(([kind, k]) => `<span class="badge ${k.badge} me-1">${t(k.label)}: ${counts[kind]}</span>`).join('')}
+        ${ops.length > 0 ? `
+            <div class="btn-group btn-group-sm ms-2">
+                <button type="button" class="btn btn-outline-secondary" data-action="restore-take-all">${t('Tout prendre du snapshot')}</button>
+                <button type="button" class="btn btn-outline-secondary" data-action="restore-keep-all">${t('Tout garder distant')}</button>
+            </div>` : ''}
+    `;
+
+    if (ops.length === 0) {
+        document.getElementById('restore-preview').innerHTML = `<div class="text-center text-muted py-4">${t('Le catalogue est identique au snapshot')}</div>`;
+        document.getElementById('confirm-restore-btn').disabled = true;
+        return;
+    }
+
+    document.getElementById('restore-preview').innerHTML = `
+        <table class="table table-sm mb-0">
+            <thead>
+                <tr>
+                    <th>${t('Collection')}</th>
+                    <th>${t('Action')}</th>
+                    <th>${t('Document')}</th>
+                    <th>${t('Différences')}</th>
+                    <th style="width: 180px;">${t('Choix')}</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${ops.map((op, index) => `
+                    <tr>
+                        <td class="text-muted">${op.collectionId === WINGS_COLLECTION_ID ? t('Voile') : t('Fabricant')}</td>
+                        <td><span class="badge ${RESTORE_KIND_LABELS[op.kind].badge}">${t(RESTORE_KIND_LABELS[op.kind].label)}</span></td>
+                        <td><strong>${escapeHtml(op.label)}</strong><div class="manufacturer-id">${escapeHtml(op.id)}</div></td>
+                        <td class="small">
+                            ${op.changes.map(f => `<div><code>${f}</code>: ${escapeHtml(formatRestoreValue(op.before[f]))} → ${escapeHtml(formatRestoreValue(op.after[f]))}</div>`).join('')}
+                        </td>
+                        <td>
+                            <select class="form-select form-select-sm" data-restore-index="${index}">
+                                <option value="snapshot" ${op.take ? 'selected' : ''}>${t('Prendre le snapshot')}</option>
+                                <option value="remote" ${op.take ? '' : 'selected'}>${t('Garder distant')}</option>
+                            </select>
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+    updateRestoreButton();
+}
+
+function formatRestoreValue(value) {
+    if (value === null || value === undefined) return '-';
+    return Array.isArray(value) ? value.join(', ') : String(value);
+}
+
+// Operations a taken operation needs: a wing needs its manufacturer's creation,
+// a manufacturer deletion needs its wings deleted or moved to another manufacturer
+function getRestoreRequirements(op, ops) {
+    if (op.collectionId === WINGS_COLLECTION_ID && op.kind !== 'delete') {
+        return ops.filter(o => o.collectionId === MANUFACTURERS_COLLECTION_ID && o.kind === 'create' && o.id === op.after.manufacturerId);
+    }
+    if (op.collectionId === MANUFACTURERS_COLLECTION_ID && op.kind === 'delete') {
+        return ops.filter(o => o.collectionId === WINGS_COLLECTION_ID && o.before && o.before.manufacturerId === op.id
+            && (o.kind === 'delete' || o.after.manufacturerId !== op.id));
+    }
+    return [];
+}
+
+// Taking an operation takes what it needs, keeping the remote side keeps what needs it
+function setRestoreChoice(index, take) {
+    const ops = restorePlan.operations;
+    const changed = new Set();
+    const apply = (op, value) => {
+        if (op.take === value) return;
+        op.take = value;
+        changed.add(op);
+        const linked = value
+            ? getRestoreRequirements(op, ops)
+            : ops.filter(other => getRestoreRequirements(other, ops).includes(op));
+        linked.forEach(other => apply(other, value));
+    };
+    apply(ops[index], take);
+
+    if (changed.size > 1) {
+        showToast(t('{count} choix lié(s) ajusté(s) pour garder le catalogue cohérent', { count: changed.size - 1 }), 'info');
+        renderRestorePlan();
+    } else {
+        updateRestoreButton();
+    }
+}
+
+function setAllRestoreChoices(take) {
+    restorePlan.operations.forEach(op => {
+        op.take = take;
+    });
+    renderRestorePlan();
+}
+
+function updateRestoreButton() {
+    document.getElementById('confirm-restore-btn').disabled = !restorePlan.operations.some(op => op.take);
+}
+
+function setRestoreProgress(done, total) {
+    const bar = document.getElementById('restore-progress');
+    const percent = total > 0 ? Math.round(done / total * 100) : 0;
+    bar.style.width = percent + '%';
+    bar.textContent = total > 0 ? `${done} / ${total}` : '';
+}
+
+async function runCatalogOperation(op) {
+    if (op.kind === 'create') {
+        await queueCreateDocument(op.collectionId, op.id, op.after);
+    } else if (op.kind === 'update') {
+        const data = {};
+        op.changes.forEach(f => {
+            data[f] = op.after[f];
+        });
+        await queueUpdateDocument(op.collectionId, op.id, data);
+    } else {
+        // Image files are left in the bucket so a rollback can relink them
+        await queueDeleteDocument(op.collectionId, op.id);
+    }
+    await recordAudit(op.kind, op.collectionId, op.id, op.before, op.after);
+}
+
+// A draft delete leaves the document on the server: undoing it clears deletedAt, as restoreWingFromTrash does
+function invertCatalogOperation(op, draftDelete = false) {
+    if (draftDelete) {
+        const doc = findLocalDocument(op.collectionId, op.id);
+        const deletedAt = doc && doc.$draft ? doc.$draft.deletedAt || null : null;
+        return { ...op, kind: 'update', before: { deletedAt }, after: { deletedAt: null }, changes: ['deletedAt'] };
+    }
+    const kind = { create: 'delete', update: 'update', delete: 'create' }[op.kind];
+    return { ...op, kind, before: op.after, after: op.before };
+}
+
+async function applyRestore() {
+    if (!requirePermission('restore')) return;
+    if (!restorePlan) return;
+
+    const btn = document.getElementById('confirm-restore-btn');
+    btn.classList.add('loading');
+    btn.disabled = true;
+
+    const selected = restorePlan.operations.filter(op => op.take);
+    restoreLog = [];
+    let failedError = null;
+
+    // Sequential writes to avoid rate limit
+    for (const op of selected) {
+        try {
+            // Checked before the write, which changes the local draft
+            const draftDelete = op.kind === 'delete' && isDraftDelete(op.collectionId, op.id);
+            await runCatalogOperation(op);
+            restoreLog.push({ at: new Date().toISOString(), op, inverse: invertCatalogOperation(op, draftDelete) });
+            setRestoreProgress(restoreLog.length, selected.length);
+        } catch (error) {
+            failedError = { op, message: error.message };
+            break;
+        }
+    }
+
+    btn.classList.remove('loading');
+    restorePlan = null;
+    renderRestoreLog(failedError);
+
+    if (failedError) {
+        showToast(t('Restauration interrompue après {done} / {total} opérations', { done: restoreLog.length, total: selected.length }), 'danger');
+        document.getElementById('rollback-restore-btn').classList.toggle('d-none', restoreLog.length === 0);
+    } else {
+        showToast(t('Catalogue restauré ({count} opérations)', { count: restoreLog.length }), 'success');
+    }
+
+    await loadData();
+}
+
+function renderRestoreLog(failedError) {
+    document.getElementById('restore-preview').innerHTML = '';
+    document.getElementById('restore-log').innerHTML = `
+        ${failedError ? `
+            <div class="alert alert-danger small">
+                ${t('Échec sur <strong>{label}</strong> ({kind}): {message}', { label: escapeHtml(failedError.op.label), kind: t(RESTORE_KIND_LABELS[failedError.op.kind].label), message: escapeHtml(failedError.message) })}
+            </div>` : ''}
+        <div class="d-flex justify-content-between align-items-center mb-2">
+            <strong>${t('Journal ({count} opérations appliquées)', { count: restoreLog.length })}</strong>
+            ${restoreLog.length > 0 ? `
+                <button type="button" class="btn btn-sm btn-outline-secondary" data-action="download-restore-log">
+                    <i class="bi bi-download me-1"></i> ${t('Télécharger le journal')}
+                </button>` : ''}
+        </div>
+        <ul class="small mb-0">
+            ${restoreLog.map(entry => `
+                <li>${t(RESTORE_KIND_LABELS[entry.op.kind].label)} ${escapeHtml(entry.op.label)} <span class="text-muted">(${escapeHtml(entry.op.id)})</span></li>
+            `).join('')}
+        </ul>
+    `;
+}
+
+function downloadRestoreLog() {
+    downloadFile(
+        `restore-log-${toSwiftIsoDate(new Date()).replace(/[-:]/g, '')}.json`,
+        JSON.stringify(restoreLog, null, 2) + '\n',
+        'application/json'
+    );
+}
+
+// Undo the applied operations in reverse order
+async function rollbackRestore() {
+    if (!requirePermission('restore')) return;
+    const btn = document.getElementById('rollback-restore-btn');
+    btn.classList.add('loading');
+    btn.disabled = true;
+
+    const entries = [...restoreLog].reverse();
+    const failures = [];
+    let done = 0;
+
+    for (const entry of entries) {
+        try {
+            await runCatalogOperation(entry.inverse);
+        } catch (error) {
+            failures.push(`${entry.op.label}: ${error.message}`);
+        }
+        setRestoreProgress(++done, entries.length);
+    }
+
+    btn.classList.remove('loading');
+    btn.disabled = false;
+    btn.classList.add('d-none');
+
+    if (failures.length > 0) {
+        showToast(t('Retour arrière incomplet: {failures}', { failures: failures.join(' ; ') }), 'danger');
+    } else {
+        showToast(t('Retour arrière effectué'), 'success');
+        restoreLog = [];
+        document.getElementById('restore-log').innerHTML = '';
+    }
+
+    await loadData();
+}
+
+// Trash (soft delete) & undo
+const IRREVERSIBLE_WARNING = 'Cette action est irréversible.';
+
+async function moveWingToTrash(id) {
+    const deletedAt = new Date().toISOString();
+    await queueUpdateDocument(WINGS_COLLECTION_ID, id, { deletedAt });
+    await recordAudit('trash', WINGS_COLLECTION_ID, id, { deletedAt: null }, { deletedAt });
+}
+
+async function restoreWingFromTrash(id) {
+    if (!requirePermission('delete')) return;
+    const wing = trashedWings.find(w => w.$id === id) || wings.find(w => w.$id === id);
+
+    try {
+        await queueUpdateDocument(WINGS_COLLECTION_ID, id, { deletedAt: null });
+        await recordAudit('untrash', WINGS_COLLECTION_ID, id, { deletedAt: wing ? wing.deletedAt || null : null }, { deletedAt: null });
+        showToast(t('Voile restaurée'), 'success');
+    } catch (error) {
+        showToast(t('Erreur lors de la restauration: {message}', { message: error.message }), 'danger');
+    }
+    await loadData();
+}
+
+// Permanent delete: the image file goes with the document
+function confirmPurgeWing(id) {
+    if (!requirePermission('delete')) return;
+    const w = trashedWings.find(w => w.$id === id);
+    if (!w) return;
+    if (isVisibleInApp(w)) {
+        showToast(t('Cette voile est encore visible dans l\'app: publiez sa mise en corbeille avant de la supprimer définitivement'), 'warning');
+        return;
+    }
+
+    showDeleteModal(`${getManufacturerName(w.manufacturerId)} ${w.model}`, t(IRREVERSIBLE_WARNING), async () => {
+        for (const fileId of new Set([...getWingFileIds(w), ...getWingFileIds(w.$live || w)])) {
+            try {
+                await queueDeleteFile(WING_IMAGES_BUCKET_ID, fileId);
+            } catch (e) {
+                // Ignore if file doesn't exist
+            }
+        }
+
+        await queueDeleteDocument(WINGS_COLLECTION_ID, id);
+        await recordAudit('delete', WINGS_COLLECTION_ID, id, pickFields(w, [...WING_FIELDS, 'deletedAt']), null);
+        showToast(t('Voile supprimée définitivement'), 'success');
+        await loadData();
+    });
+}
+
+async function undoManufacturerDelete(id, data) {
+    try {
+        // A published manufacturer was only marked deleted in its draft
+        if (manufacturersPendingDeletion.some(m => m.$id === id)) {
+            await queueUpdateDocument(MANUFACTURERS_COLLECTION_ID, id, { deletedAt: null });
+        } else {
+            await queueCreateDocument(MANUFACTURERS_COLLECTION_ID, id, data);
+        }
+        await recordAudit('create', MANUFACTURERS_COLLECTION_ID, id, null, data);
+        showToast(t('Suppression annulée'), 'success');
+    } catch (error) {
+        showToast(t('Impossible d\'annuler: {message}', { message: error.message }), 'danger');
+    }
+    await loadData();
+}
+
+async function undoReorder(collectionId, draggedId, updates) {
+    if (!requirePermission('reorder')) return;
+    const reverted = updates.map(u => ({ id: u.id, displayOrder: u.previousOrder ?? 0, previousOrder: u.displayOrder }));
+
+    const { succeeded, failed } = await runQueuedWrites(reverted, u =>
+        queueUpdateDocument(collectionId, u.id, { displayOrder: u.displayOrder }, t('Ordre de {name}', { name: u.id }))
+    );
+    if (succeeded.length > 0) {
+        await recordReorderAudit(collectionId, draggedId, succeeded);
+    }
+
+    if (failed.length === 0) {
+        showToast(t('Ordre rétabli'), 'success');
+    } else {
+        reportWriteFailures(t('Annulation du réordonnancement'), failed.length);
+    }
+
+    if (collectionId === MANUFACTURERS_COLLECTION_ID) {
+        await loadManufacturers();
+    } else {
+        await loadWings();
+    }
+}
+
+function renderTrash() {
+    const tbody = document.getElementById('trash-table');
+    document.getElementById('trash-count').textContent = trashedWings.length || '';
+
+    if (trashedWings.length === 0) {
+        tbody.innerHTML = `<tr><td colspan="5" class="text-center text-muted py-5">${t('La corbeille est vide')}</td></tr>`;
+        return;
+    }
+
+    const sorted = [...trashedWings].sort((a, b) => String(b.deletedAt).localeCompare(String(a.deletedAt)));
+    tbody.innerHTML = sorted.map(w => {
+        const id = escapeHtml(w.$id);
+        const imageUrl = getWingImageUrl(w.imageFileId);
+        return `
+            <tr>
+                <td>
+                    ${imageUrl
+                        ? `<img src="${escapeHtml(imageUrl)}" class="table-wing-image" alt="${escapeHtml(w.model)}">`
+                        : '<span class="text-muted">-</span>'}
+                </td>
+                <td>${escapeHtml(getManufacturerName(w.manufacturerId))}</td>
+                <td><strong>${escapeHtml(w.model)}</strong> ${renderPublishBadge(w)}</td>
+                <td class="small text-muted">${escapeHtml(new Date(w.deletedAt).toLocaleString(getLocale()))}</td>
+                <td>
+                    <button class="btn btn-sm btn-outline-primary me-1" data-action="restore-wing" data-id="${id}" data-requires="delete" title="${t('Restaurer')}">
+                        <i class="bi bi-arrow-counterclockwise"></i>
+                    </button>
+                    <button class="btn btn-sm btn-outline-danger" data-action="purge-wing" data-id="${id}" data-requires="delete" title="${t('Supprimer définitivement')}">
+                        <i class="bi bi-trash"></i>
+                    </button>
+                </td>
+            </tr>
+        `;
+    }).join('');
+}
+
+// Image maintenance: reconcile the wing-images bucket with wing imageFileId references
+async function listAllFiles(bucketId) {
+    const files = [];
+    while (true) {
+        const queries = [Appwrite.Query.limit(PAGE_SIZE)];
+        if (files.length > 0) {
+            queries.push(Appwrite.Query.cursorAfter(files[files.length - 1].$id));
+        }
+        const response = await storage.listFiles(bucketId, queries);
+        files.push(...response.files);
+        if (response.files.length < PAGE_SIZE) break;
+    }
+    return files;
+}
+
+async function scanWingImages() {
+    if (!requirePermission('delete')) return;
+    if (!isCatalogComplete()) {
+        showToast(t('Catalogue incomplet: rechargez avant d\'analyser les images'), 'warning');
+        return;
+    }
+
+    const btn = document.getElementById('scan-images-btn');
+    btn.classList.add('loading');
+    btn.disabled = true;
+
+    try {
+        const files = await listAllFiles(WING_IMAGES_BUCKET_ID);
+        const logoFiles = await listAllFiles(MANUFACTURER_LOGOS_BUCKET_ID);
+        imageReport = buildImageReport(files, [...wings, ...trashedWings], logoFiles, [...manufacturers, ...manufacturersPendingDeletion]);
+        renderImageReport();
+    } catch (error) {
+        showToast(t('Erreur lors de l\'analyse: {message}', { message: error.message }), 'danger');
+    } finally {
+        btn.classList.remove('loading');
+        btn.disabled = false;
+    }
+}
+
+// Gallery uploads get a unique file id and are named `${wingId}-${position}.${ext}` (see uploadWingGallery)
+function parseImageFileName(file) {
+    const match = /^(.+)-(\d+)\.[a-z0-9]+$/i.exec(file.name || '');
+    return match ? { wingId: match[1], position: Number(match[2]) } : null;
+}
+
+// An unreferenced file of the wing is its relink candidate: named after it, or using its id
+// as file id like older uploads did. First images win over later ones, then the newest upload.
+// Manufacturer logos are only checked for orphans: nothing can relink them
+function buildImageReport(files, allWings, logoFiles = [], allManufacturers = []) {
+    const fileIds = new Set(files.map(f => f.$id));
+    // Files of the published version stay referenced until the draft replacing them is published
+    const referenced = new Set(allWings.flatMap(w => [...getWingFileIds(w), ...getWingFileIds(w.$live || w)]));
+    const referencedLogos = new Set(allManufacturers.flatMap(m => [m.logoFileId, (m.$live || m).logoFileId]));
+    const orphans = files.filter(f => !referenced.has(f.$id));
+    const orphanLogos = logoFiles.filter(f => !referencedLogos.has(f.$id));
+    const candidateFor = w => {
+        const own = orphans
+            .map(f => ({ file: f, parsed: parseImageFileName(f) }))
+            .filter(({ file, parsed }) => file.$id === w.$id || (parsed && parsed.wingId === w.$id))
+            .map(entry => ({ ...entry, first: !entry.parsed || entry.parsed.position === 1 }))
+            .sort((a, b) => b.first - a.first || String(b.file.$createdAt).localeCompare(String(a.file.$createdAt)));
+        return own.length > 0 ? own[0].file.$id : null;
+    };
+
+    return {
+        fileCount: files.length + logoFiles.length,
+        orphans: [
+            ...orphans.map(f => ({ ...f, bucketId: WING_IMAGES_BUCKET_ID })),
+            ...orphanLogos.map(f => ({ ...f, bucketId: MANUFACTURER_LOGOS_BUCKET_ID }))
+        ],
+        dangling: allWings
+            .filter(w => w.imageFileId && !fileIds.has(w.imageFileId))
+            .map(w => ({ wing: w, candidate: candidateFor(w) })),
+        missing: allWings
+            .filter(w => !w.imageFileId)
+            .map(w => ({ wing: w, candidate: candidateFor(w) }))
+    };
+}
+
+function renderImageReportSummary() {
+    const { fileCount, orphans, dangling, missing, stale } = imageReport;
+    document.getElementById('maintenance-summary').innerHTML = `
+        <span class="badge bg-secondary me-1">${t('Fichiers: {count}', { count: fileCount })}</span>
+        <span class="badge bg-warning text-dark me-1">${t('Orphelins: {count}', { count: orphans.length })}</span>
+        <span class="badge bg-danger me-1">${t('Références mortes: {count}', { count: dangling.length })}</span>
+        <span class="badge bg-info me-1">${t('Sans image: {count}', { count: missing.length })}</span>
+        ${stale ? `<span class="badge bg-warning text-dark">${t('Le stockage a changé, relancez l\'analyse')}</span>` : ''}
+    `;
+}
 
-        return `
+function renderImageReport() {
+    const { orphans, dangling, missing } = imageReport;
+    renderImageReportSummary();
+
+    document.querySelector('[data-action="check-all"][data-id="orphan-files"]').checked = false;
+    document.getElementById('orphan-files').innerHTML = orphans.length === 0
+        ? `<tr><td colspan="5" class="text-center text-muted py-3">${t('Aucun fichier orphelin')}</td></tr>`
+        : orphans.map(f => {
+            // Deletion is permanent: nothing is preselected
+            const linkable = [...dangling, ...missing].some(e => e.candidate === f.$id);
+            const logo = f.bucketId === MANUFACTURER_LOGOS_BUCKET_ID;
+            return `
             <tr>
+                <td><input type="checkbox" class="form-check-input" value="${escapeHtml(f.$id)}"></td>
+                <td><img src="${escapeHtml(logo ? getManufacturerLogoUrl(f.$id) : getWingImageUrl(f.$id))}" class="table-wing-image" alt=""></td>
                 <td>
-                    ${imageUrl
-                        ? `<img src="${imageUrl}" class="table-wing-image" alt="${w.model}">`
-                        : '<span class="text-muted">-</span>'}
+                    <code>${escapeHtml(f.$id)}</code>
+                    ${logo ? `<span class="badge bg-secondary ms-1">${t('Logo')}</span>` : ''}
+                    ${linkable ? `<span class="badge bg-success ms-1">${t('Reliable')}</span>` : ''}
+                    <div class="small text-muted">${escapeHtml(f.name)}</div>
                 </td>
-                <td>${manufacturerName}</td>
-                <td><strong>${w.model}</strong></td>
-                <td><span class="badge bg-secondary">${w.type}</span></td>
-                <td>${(w.sizes || []).map(s => `<span class="size-chip">${s}</span>`).join(' ')}</td>
+                <td class="small">${formatBytes(f.sizeOriginal || 0)}</td>
+                <td class="small text-muted">${escapeHtml(new Date(f.$createdAt).toLocaleString(getLocale()))}</td>
+            </tr>
+        `;
+        }).join('');
+
+    const wingRows = (entries, emptyText, showReference) => entries.length === 0
+        ? `<tr><td colspan="4" class="text-center text-muted py-3">${emptyText}</td></tr>`
+        : entries.map(({ wing, candidate }) => `
+            <tr>
+                <td><input type="checkbox" class="form-check-input" value="${escapeHtml(wing.$id)}" ${candidate || showReference ? 'checked' : ''}></td>
                 <td>
-                    <button class="btn btn-sm btn-outline-secondary me-1" onclick="duplicateWing('${w.$id}')" title="Dupliquer">
-                        <i class="bi bi-copy"></i>
-                    </button>
-                    <button class="btn btn-sm btn-outline-primary me-1" onclick="editWing('${w.$id}')" title="Modifier">
-                        <i class="bi bi-pencil"></i>
-                    </button>
-                    <button class="btn btn-sm btn-outline-danger" onclick="confirmDeleteWing('${w.$id}', '${manufacturerName} ${w.model}')" title="Supprimer">
-                        <i class="bi bi-trash"></i>
-                    </button>
+                    <strong>${escapeHtml(getManufacturerName(wing.manufacturerId))} ${escapeHtml(wing.model)}</strong>
+                    ${wing.deletedAt ? `<span class="badge bg-warning text-dark ms-1">${t('Corbeille')}</span>` : ''}
+                    <div class="manufacturer-id">${escapeHtml(wing.$id)}</div>
                 </td>
+                <td>${showReference ? `<code class="text-danger">${escapeHtml(wing.imageFileId)}</code>` : '-'}</td>
+                <td>${candidate ? `<code class="text-success">${escapeHtml(candidate)}</code>` : '<span class="text-muted">-</span>'}</td>
             </tr>
-        `;
-    }).join('');
+        `).join('');
+
+    document.getElementById('dangling-wings').innerHTML = wingRows(dangling, t('Aucune référence morte'), true);
+    document.getElementById('missing-wings').innerHTML = wingRows(missing, t('Toutes les voiles ont une image'), false);
 }
 
-function updateStats() {
-    document.getElementById('stats-manufacturers').textContent = manufacturers.length;
-    document.getElementById('stats-wings').textContent = wings.length;
-    const imagesCount = wings.filter(w => w.imageFileId).length;
-    document.getElementById('stats-images').textContent = imagesCount;
+function getCheckedValues(containerId) {
+    return Array.from(document.querySelectorAll(`#${containerId} input[type="checkbox"]:checked`)).map(cb => cb.value);
 }
 
-function updateManufacturerSelects() {
-    const options = manufacturers.map(m => `<option value="${m.$id}">${m.name}</option>`).join('');
+function toggleAllChecked(containerId, checked) {
+    document.querySelectorAll(`#${containerId} input[type="checkbox"]`).forEach(cb => {
+        cb.checked = checked;
+    });
+}
 
-    // Filter select
-    const filterSelect = document.getElementById('filter-manufacturer');
-    filterSelect.innerHTML = '<option value="">Tous les fabricants</option>' + options;
+// Runs one call per item sequentially (rate limit) and reports failures per item
+async function runMaintenanceBatch(items, label, operation) {
+    if (items.length === 0) {
+        showToast(t('Aucun élément sélectionné'), 'warning');
+        return;
+    }
 
-    // Wing form select
-    const wingSelect = document.getElementById('wing-manufacturer');
-    wingSelect.innerHTML = '<option value="">Sélectionner...</option>' + options;
+    const failures = [];
+    for (const item of items) {
+        try {
+            await operation(item);
+        } catch (error) {
+            failures.push(`${item}: ${error.message}`);
+        }
+    }
+
+    if (failures.length > 0) {
+        showToast(t('{label}: {done} / {total} réussis. {failures}', { label, done: items.length - failures.length, total: items.length, failures: failures.join(' ; ') }), 'warning');
+    } else {
+        showToast(t('{label}: {count} élément(s) traité(s)', { label, count: items.length }), 'success');
+    }
+
+    await loadData();
+    await scanWingImages();
 }
 
-// Manufacturer CRUD
-function showAddManufacturerModal() {
-    document.getElementById('manufacturer-modal-title').textContent = 'Ajouter un fabricant';
-    document.getElementById('manufacturer-id').value = '';
-    document.getElementById('manufacturer-name').value = '';
-    document.getElementById('manufacturer-order').value = manufacturers.length;
-    manufacturerModal.show();
+async function deleteOrphanFiles() {
+    if (!requirePermission('delete')) return;
+    await runMaintenanceBatch(getCheckedValues('orphan-files'), t('Suppression des orphelins'), async fileId => {
+        const { bucketId } = imageReport.orphans.find(f => f.$id === fileId);
+        await queueDeleteFile(bucketId, fileId);
+        await recordAudit('delete', bucketId, fileId, { fileId }, null);
+    });
 }
 
-function editManufacturer(id) {
-    const m = manufacturers.find(m => m.$id === id);
-    if (!m) return;
+async function relinkWingImages(containerId) {
+    if (!requirePermission('delete')) return;
+    const entries = [...imageReport.dangling, ...imageReport.missing];
+    const selected = getCheckedValues(containerId)
+        .map(id => entries.find(e => e.wing.$id === id))
+        .filter(e => e && e.candidate);
 
-    document.getElementById('manufacturer-modal-title').textContent = 'Modifier le fabricant';
-    document.getElementById('manufacturer-id').value = m.$id;
-    document.getElementById('manufacturer-name').value = m.name;
-    document.getElementById('manufacturer-order').value = m.displayOrder || 0;
-    manufacturerModal.show();
+    await runMaintenanceBatch(selected.map(e => e.wing.$id), t('Reliaison des images'), async wingId => {
+        const entry = selected.find(e => e.wing.$id === wingId);
+        const gallery = [
+            { fileId: entry.candidate, colourway: '', view: '' },
+            ...parseWingGallery(entry.wing).filter(item => item.fileId !== entry.wing.imageFileId && item.fileId !== entry.candidate)
+        ];
+        const data = { imageFileId: entry.candidate, gallery: JSON.stringify(gallery) };
+        await queueUpdateDocument(WINGS_COLLECTION_ID, wingId, data);
+        await recordAudit('update', WINGS_COLLECTION_ID, wingId, pickFields(entry.wing, ['imageFileId', 'gallery']), data);
+    });
 }
 
-async function handleManufacturerSubmit(e) {
-    e.preventDefault();
-    const btn = e.target.querySelector('button[type="submit"]');
-    btn.classList.add('loading');
-    btn.disabled = true;
+async function clearDanglingReferences() {
+    if (!requirePermission('delete')) return;
+    await runMaintenanceBatch(getCheckedValues('dangling-wings'), t('Nettoyage des références'), async wingId => {
+        const entry = imageReport.dangling.find(e => e.wing.$id === wingId);
+        // The next gallery image (if any) becomes the primary one
+        const gallery = parseWingGallery(entry.wing).filter(item => item.fileId !== entry.wing.imageFileId);
+        const data = {
+            imageFileId: gallery.length > 0 ? gallery[0].fileId : null,
+            gallery: gallery.length > 0 ? JSON.stringify(gallery) : null
+        };
+        await queueUpdateDocument(WINGS_COLLECTION_ID, wingId, data);
+        await recordAudit('update', WINGS_COLLECTION_ID, wingId, pickFields(entry.wing, ['imageFileId', 'gallery']), data);
+    });
+}
 
-    const id = document.getElementById('manufacturer-id').value;
-    const name = document.getElementById('manufacturer-name').value;
-    const displayOrder = parseInt(document.getElementById('manufacturer-order').value) || 0;
+// Duplicate finder: ids are slugs of names, so "Rush 6" / "Rush-6" or "Gin" / "GIN Gliders"
+// end up as separate documents. Merging keeps one document and rewires references.
+const DUPLICATE_THRESHOLD = 0.85;
+const MANUFACTURER_NAME_SUFFIXES = ['paragliders', 'paragliding', 'gliders', 'gliding', 'wings', 'aero'];
 
-    try {
-        if (id) {
-            // Update
-            await databases.updateDocument(DATABASE_ID, MANUFACTURERS_COLLECTION_ID, id, {
-                name,
-                displayOrder
-            });
-            showToast('Fabricant mis à jour', 'success');
-        } else {
-            // Create with custom ID
-            const newId = name.toLowerCase().replace(/[^a-z0-9]/g, '-').replace(/-+/g, '-');
-            await databases.createDocument(DATABASE_ID, MANUFACTURERS_COLLECTION_ID, newId, {
-                name,
-                displayOrder
-            });
-            showToast('Fabricant créé', 'success');
+// Lowercase, no accents, punctuation as spaces: "Rush-6" and "Rush 6" compare equal
+function normalizeDuplicateName(text, suffixes = []) {
+    const tokens = normalizeSearchText(text).replace(/[^a-z0-9]+/g, ' ').trim().split(' ').filter(t => t);
+    while (tokens.length > 1 && suffixes.includes(tokens[tokens.length - 1])) tokens.pop();
+    return tokens.join(' ');
+}
+
+function levenshtein(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
         }
-        manufacturerModal.hide();
-        await loadData();
-    } catch (error) {
-        showToast('Erreur: ' + error.message, 'danger');
-    } finally {
-        btn.classList.remove('loading');
-        btn.disabled = false;
+        previous = current;
     }
+    return previous[b.length];
 }
 
-function confirmDeleteManufacturer(id, name) {
-    const wingCount = wings.filter(w => w.manufacturerId === id).length;
-    if (wingCount > 0) {
-        showToast(`Impossible de supprimer: ${wingCount} voiles sont liées à ce fabricant`, 'warning');
+// 1 for the same compacted name; numbers must match ("Rush 5" and "Rush 6" are two generations)
+function nameSimilarity(a, b) {
+    const numbers = text => (text.match(/\d+/g) || []).join(' ');
+    if (numbers(a) !== numbers(b)) return 0;
+    const left = a.replace(/ /g, '');
+    const right = b.replace(/ /g, '');
+    if (!left || !right) return 0;
+    if (left === right) return 1;
+    return 1 - levenshtein(left, right) / Math.max(left.length, right.length);
+}
+
+function findDuplicatePairs(items, getName, getGroup = () => '') {
+    const names = items.map(getName);
+    const pairs = [];
+    for (let i = 0; i < items.length; i++) {
+        for (let j = i + 1; j < items.length; j++) {
+            if (getGroup(items[i]) !== getGroup(items[j])) continue;
+            const score = nameSimilarity(names[i], names[j]);
+            if (score >= DUPLICATE_THRESHOLD) pairs.push({ a: items[i], b: items[j], score });
+        }
+    }
+    return pairs.sort((x, y) => y.score - x.score);
+}
+
+// Wings are compared within a manufacturer; manufacturers proposed as duplicates count as one
+function buildDuplicateReport() {
+    const manufacturerPairs = findDuplicatePairs(manufacturers, m => normalizeDuplicateName(m.name, MANUFACTURER_NAME_SUFFIXES));
+    const group = new Map(manufacturers.map(m => [m.$id, m.$id]));
+    manufacturerPairs.forEach(({ a, b }) => {
+        const root = group.get(a.$id);
+        const merged = group.get(b.$id);
+        group.forEach((value, key) => {
+            if (value === merged) group.set(key, root);
+        });
+    });
+
+    const wingPairs = findDuplicatePairs(wings,
+        w => normalizeDuplicateName(w.model),
+        w => group.get(w.manufacturerId) || w.manufacturerId
+    ).filter(({ a, b }) => !(a.year && b.year && a.year !== b.year));
+
+    return [
+        ...manufacturerPairs.map(pair => ({ ...pair, kind: 'manufacturer' })),
+        ...wingPairs.map(pair => ({ ...pair, kind: 'wing' }))
+    ];
+}
+
+function findDuplicates() {
+    if (!requirePermission('delete')) return;
+    if (!isCatalogComplete()) {
+        showToast(t('Catalogue incomplet: rechargez avant de chercher les doublons'), 'warning');
         return;
     }
+    duplicateReport = buildDuplicateReport();
+    renderDuplicateReport();
+}
 
-    document.getElementById('delete-item-name').textContent = name;
-    deleteCallback = async () => {
-        await databases.deleteDocument(DATABASE_ID, MANUFACTURERS_COLLECTION_ID, id);
-        showToast('Fabricant supprimé', 'success');
-        await loadData();
+function describeDuplicate(kind, doc) {
+    if (kind === 'manufacturer') {
+        const count = [...wings, ...trashedWings].filter(w => w.manufacturerId === doc.$id).length;
+        return {
+            name: doc.name,
+            detail: t('{count} voile(s)', { count })
+        };
+    }
+    return {
+        name: `${getManufacturerName(doc.manufacturerId)} ${doc.model}`,
+        detail: [
+            doc.year,
+            t('{count} taille(s)', { count: (doc.sizes || []).length }),
+            t('{count} image(s)', { count: getWingFileIds(doc).length })
+        ].filter(v => v).join(' · ')
     };
-    deleteModal.show();
 }
 
-// Wing CRUD
-function showAddWingModal() {
-    document.getElementById('wing-modal-title').textContent = 'Ajouter une voile';
-    document.getElementById('wing-id').value = '';
-    document.getElementById('wing-image-file-id').value = '';
-    document.getElementById('wing-manufacturer').value = '';
-    document.getElementById('wing-model').value = '';
-    document.getElementById('wing-type').value = '';
-    document.getElementById('wing-year').value = '';
-    document.getElementById('wing-sizes').value = '';
-    document.getElementById('wing-image').value = '';
-    document.getElementById('preview-img').classList.add('d-none');
-    document.getElementById('preview-placeholder').classList.remove('d-none');
-    wingModal.show();
+function renderDuplicateReport() {
+    const container = document.getElementById('duplicate-results');
+    if (duplicateReport.length === 0) {
+        container.innerHTML = `<tr><td colspan="5" class="text-center text-muted py-3">${t('Aucun doublon probable')}</td></tr>`;
+        return;
+    }
+
+    const cell = (kind, doc) => {
+        const { name, detail } = describeDuplicate(kind, doc);
+        return `
+            <strong>${escapeHtml(name)}</strong>
+            <div class="manufacturer-id">${escapeHtml(doc.$id)}</div>
+            <div class="small text-muted">${escapeHtml(detail)}</div>
+        `;
+    };
+
+    container.innerHTML = duplicateReport.map(({ kind, a, b, score }, index) => `
+        <tr>
+            <td><span class="badge ${kind === 'manufacturer' ? 'bg-primary' : 'bg-secondary'}">${kind === 'manufacturer' ? t('Fabricant') : t('Voile')}</span></td>
+            <td>${cell(kind, a)}</td>
+            <td>${cell(kind, b)}</td>
+            <td>${Math.round(score * 100)} %</td>
+            <td class="text-end text-nowrap">
+                <button class="btn btn-sm btn-outline-primary" data-action="merge-duplicate" data-id="${index}:a" title="${t('Garder {id}', { id: escapeHtml(a.$id) })}">
+                    <i class="bi bi-arrow-left me-1"></i>${t('Garder A')}
+                </button>
+                <button class="btn btn-sm btn-outline-primary" data-action="merge-duplicate" data-id="${index}:b" title="${t('Garder {id}', { id: escapeHtml(b.$id) })}">
+                    ${t('Garder B')}<i class="bi bi-arrow-right ms-1"></i>
+                </button>
+            </td>
+        </tr>
+    `).join('');
 }
 
-function editWing(id) {
-    const w = wings.find(w => w.$id === id);
-    if (!w) return;
+// Sizes, specs, images and disciplines of `drop` are added after those of `keep`;
+// its descriptions only fill the languages `keep` has none for
+function mergeWingData(keep, drop) {
+    const sameSize = (x, y) => normalizeSearchText(x).trim() === normalizeSearchText(y).trim();
+    const keptSpecs = parseSizeSpecs(keep);
+    const droppedSpecs = parseSizeSpecs(drop);
+    const sizeRows = [
+        ...keptSpecs.map(row => hasSizeSpec(row) ? row : { ...(droppedSpecs.find(other => sameSize(other.size, row.size)) || row), size: row.size }),
+        ...droppedSpecs.filter(row => !keptSpecs.some(kept => sameSize(kept.size, row.size)))
+    ];
 
-    document.getElementById('wing-modal-title').textContent = 'Modifier la voile';
-    document.getElementById('wing-id').value = w.$id;
-    document.getElementById('wing-image-file-id').value = w.imageFileId || '';
-    document.getElementById('wing-manufacturer').value = w.manufacturerId;
-    document.getElementById('wing-model').value = w.model;
-    document.getElementById('wing-type').value = w.type;
-    document.getElementById('wing-year').value = w.year || '';
-    document.getElementById('wing-sizes').value = (w.sizes || []).join(', ');
-    document.getElementById('wing-image').value = '';
+    const keptGallery = parseWingGallery(keep);
+    const gallery = [...keptGallery, ...parseWingGallery(drop).filter(item => !keptGallery.some(kept => kept.fileId === item.fileId))];
 
-    // Show current image if exists
-    if (w.imageFileId) {
-        const imageUrl = `${APPWRITE_ENDPOINT}/storage/buckets/${WING_IMAGES_BUCKET_ID}/files/${w.imageFileId}/view?project=${APPWRITE_PROJECT_ID}`;
-        document.getElementById('preview-img').src = imageUrl;
-        document.getElementById('preview-img').classList.remove('d-none');
-        document.getElementById('preview-placeholder').classList.add('d-none');
-    } else {
-        document.getElementById('preview-img').classList.add('d-none');
-        document.getElementById('preview-placeholder').classList.remove('d-none');
-    }
+    const disciplines = [...new Set([...getWingDisciplines(keep), ...getWingDisciplines(drop)])];
+    const certification = getWingCertification(keep) || getWingCertification(drop);
+    const descriptions = { ...parseLocalizedText(drop.descriptions), ...parseLocalizedText(keep.descriptions) };
 
-    wingModal.show();
+    const data = {
+        sizes: sizeRows.map(row => row.size),
+        sizeSpecs: serializeSizeSpecs(sizeRows),
+        imageFileId: gallery.length > 0 ? gallery[0].fileId : null,
+        gallery: gallery.length > 0 ? JSON.stringify(gallery) : null,
+        disciplines,
+        certification,
+        type: composeWingType(disciplines, certification),
+        typeLabels: composeWingTypeLabels(disciplines, certification),
+        descriptions: Object.keys(descriptions).length > 0 ? JSON.stringify(descriptions) : null
+    };
+    if (!keep.year && drop.year) data.year = drop.year;
+    return data;
 }
 
-// Duplicate wing
-function duplicateWing(id) {
-    const w = wings.find(w => w.$id === id);
-    if (!w) return;
+function confirmMergeDuplicate(value) {
+    if (!requirePermission('delete')) return;
+    const [index, side] = value.split(':');
+    const pair = duplicateReport[Number(index)];
+    if (!pair) return;
+    // Realtime updates may have changed the documents since the scan
+    const latest = doc => (pair.kind === 'manufacturer' ? manufacturers : wings).find(d => d.$id === doc.$id);
+    const keep = latest(side === 'a' ? pair.a : pair.b);
+    const drop = latest(side === 'a' ? pair.b : pair.a);
+    if (!keep || !drop) {
+        showToast(t('Ces documents ont changé depuis l\'analyse: relancez la recherche'), 'warning');
+        return;
+    }
+    const kept = describeDuplicate(pair.kind, keep).name;
+    const dropped = describeDuplicate(pair.kind, drop).name;
 
-    document.getElementById('wing-modal-title').textContent = 'Dupliquer la voile';
-    document.getElementById('wing-id').value = ''; // Empty ID = create new
-    document.getElementById('wing-image-file-id').value = ''; // Don't copy image
-    document.getElementById('wing-manufacturer').value = w.manufacturerId;
-    document.getElementById('wing-model').value = w.model + ' (copie)';
-    document.getElementById('wing-type').value = w.type;
-    document.getElementById('wing-year').value = w.year || '';
-    document.getElementById('wing-sizes').value = (w.sizes || []).join(', ');
-    document.getElementById('wing-image').value = '';
+    const warning = pair.kind === 'manufacturer'
+        ? t('Ses voiles seront rattachées à {name} ({id}), puis le fabricant sera supprimé.', { name: kept, id: keep.$id })
+        : t('Ses tailles et images seront ajoutées à {name} ({id}), puis la voile sera supprimée définitivement.', { name: kept, id: keep.$id });
 
-    // Show current image if exists (for reference)
-    if (w.imageFileId) {
-        const imageUrl = `${APPWRITE_ENDPOINT}/storage/buckets/${WING_IMAGES_BUCKET_ID}/files/${w.imageFileId}/view?project=${APPWRITE_PROJECT_ID}`;
-        document.getElementById('preview-img').src = imageUrl;
-        document.getElementById('preview-img').classList.remove('d-none');
-        document.getElementById('preview-placeholder').classList.add('d-none');
-    } else {
-        document.getElementById('preview-img').classList.add('d-none');
-        document.getElementById('preview-placeholder').classList.remove('d-none');
+    showDeleteModal(`${dropped} (${drop.$id})`, warning, async () => {
+        if (pair.kind === 'manufacturer') {
+            await mergeManufacturers(keep, drop);
+        } else {
+            await mergeWings(keep, drop);
+        }
+        await loadData();
+        findDuplicates();
+    });
+}
+
+// The dropped wing's files now belong to the kept one, so its document is removed
+// directly instead of going through the trash (purging it would delete shared images).
+// A wing the app still shows only goes to the trash at publication, without its images.
+async function mergeWings(keep, drop) {
+    const data = mergeWingData(keep, drop);
+    await queueUpdateDocument(WINGS_COLLECTION_ID, keep.$id, data);
+    await recordAudit('update', WINGS_COLLECTION_ID, keep.$id, pickFields(keep, Object.keys(data)), data);
+    if (isVisibleInApp(drop)) {
+        await queueUpdateDocument(WINGS_COLLECTION_ID, drop.$id, { imageFileId: null, gallery: null });
     }
+    await queueDeleteDocument(WINGS_COLLECTION_ID, drop.$id);
+    await recordAudit('delete', WINGS_COLLECTION_ID, drop.$id, pickFields(drop, WING_FIELDS), null);
+    showToast(t('Voile fusionnée dans {name}', { name: keep.model }), 'success');
+}
 
-    wingModal.show();
+// Profile fields the kept manufacturer lacks are taken from the dropped one
+function mergeManufacturerProfile(keep, drop) {
+    const data = {};
+    ['logoFileId', 'country', 'website', 'description'].forEach(field => {
+        if (!keep[field] && drop[field]) data[field] = drop[field];
+    });
+    return data;
 }
 
-function handleImagePreview(e) {
-    const file = e.target.files[0];
-    if (file) {
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            document.getElementById('preview-img').src = e.target.result;
-            document.getElementById('preview-img').classList.remove('d-none');
-            document.getElementById('preview-placeholder').classList.add('d-none');
-        };
-        reader.readAsDataURL(file);
+// Trashed wings are rewired too; the manufacturer is only deleted once none points to it
+async function mergeManufacturers(keep, drop) {
+    const linked = [...wings, ...trashedWings].filter(w => w.manufacturerId === drop.$id);
+    const { failed } = await runQueuedWrites(linked, async w => {
+        await queueUpdateDocument(WINGS_COLLECTION_ID, w.$id, { manufacturerId: keep.$id });
+        await recordAudit('update', WINGS_COLLECTION_ID, w.$id, { manufacturerId: drop.$id }, { manufacturerId: keep.$id });
+    });
+
+    if (failed.length > 0) {
+        showToast(t('Fusion interrompue: {count} voile(s) non rattachée(s), {name} est conservé', { count: failed.length, name: drop.name }), 'warning', {
+            label: t('Détails'),
+            handler: showWriteFailures
+        });
+        return;
     }
-}
 
-async function handleWingSubmit(e) {
-    e.preventDefault();
-    const btn = e.target.querySelector('button[type="submit"]');
-    btn.classList.add('loading');
-    btn.disabled = true;
+    const profile = mergeManufacturerProfile(keep, drop);
+    if (Object.keys(profile).length > 0) {
+        await queueUpdateDocument(MANUFACTURERS_COLLECTION_ID, keep.$id, profile);
+        await recordAudit('update', MANUFACTURERS_COLLECTION_ID, keep.$id, pickFields(keep, Object.keys(profile)), profile);
+    }
 
-    const id = document.getElementById('wing-id').value;
-    const manufacturerId = document.getElementById('wing-manufacturer').value;
-    const model = document.getElementById('wing-model').value;
-    const type = document.getElementById('wing-type').value;
-    const year = document.getElementById('wing-year').value ? parseInt(document.getElementById('wing-year').value) : null;
-    const sizes = document.getElementById('wing-sizes').value.split(',').map(s => s.trim()).filter(s => s);
-    const imageFile = document.getElementById('wing-image').files[0];
-    let imageFileId = document.getElementById('wing-image-file-id').value || null;
+    // A dropped manufacturer the app shows is removed by "Publier", which deletes its logo then
+    const removedNow = !isVisibleInApp(drop);
+    await queueDeleteDocument(MANUFACTURERS_COLLECTION_ID, drop.$id);
+    await recordAudit('delete', MANUFACTURERS_COLLECTION_ID, drop.$id, pickFields(drop, MANUFACTURER_FIELDS), null);
+    if (removedNow) await deleteUnusedManufacturerLogos(drop, [profile.logoFileId]);
+    showToast(t('{name} fusionné dans {target} ({count} voile(s) rattachée(s))', { name: drop.name, target: keep.name, count: linked.length }), 'success');
+}
+
+// Audit log (one document per mutation in AUDIT_COLLECTION_ID)
+const AUDIT_ACTION_LABELS = {
+    create: { label: 'Création', badge: 'bg-success' },
+    update: { label: 'Modification', badge: 'bg-primary' },
+    delete: { label: 'Suppression', badge: 'bg-danger' },
+    reorder: { label: 'Réordonnancement', badge: 'bg-info' },
+    trash: { label: 'Corbeille', badge: 'bg-warning text-dark' },
+    untrash: { label: 'Restauration', badge: 'bg-success' },
+    publish: { label: 'Publication', badge: 'bg-dark' }
+};
+const AUDIT_PAGE_SIZE = 100;
+const AUDIT_COLLECTION_LABELS = {
+    [MANUFACTURERS_COLLECTION_ID]: 'Fabricant',
+    [WINGS_COLLECTION_ID]: 'Voile',
+    [WING_IMAGES_BUCKET_ID]: 'Image',
+    [MANUFACTURER_LOGOS_BUCKET_ID]: 'Logo',
+    [CATALOG_COLLECTION_ID]: 'Catalogue'
+};
 
+// Values are stored as JSON strings since Appwrite attributes can't hold objects.
+// A failed audit write never blocks the edit itself, but the gap is surfaced.
+async function recordAudit(action, collectionId, documentId, before, after) {
     try {
-        // Generate ID for new wing
-        const newId = id || `${manufacturerId}-${model}`.toLowerCase().replace(/[^a-z0-9]/g, '-').replace(/-+/g, '-');
+        await queueCreateDocument(AUDIT_COLLECTION_ID, Appwrite.ID.unique(), {
+            userId: currentUser ? currentUser.$id : '',
+            userEmail: currentUser ? currentUser.email : '',
+            action,
+            collectionId,
+            documentId,
+            before: before ? JSON.stringify(before) : null,
+            after: after ? JSON.stringify(after) : null,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('Audit log write failed:', error);
+        showToast(t('Historique non enregistré: {message}', { message: error.message }), 'warning');
+    }
+}
 
-        // Upload image if provided
-        if (imageFile) {
-            // Delete old image if exists (only for updates)
-            if (id && imageFileId) {
-                try {
-                    await storage.deleteFile(WING_IMAGES_BUCKET_ID, imageFileId);
-                } catch (e) {
-                    // Ignore if file doesn't exist
-                }
-            }
+// A drag & drop is logged once, on the dragged document, with every shifted order
+async function recordReorderAudit(collectionId, draggedId, updates) {
+    const before = {};
+    const after = {};
+    updates.forEach(u => {
+        before[u.id] = u.previousOrder ?? null;
+        after[u.id] = u.displayOrder;
+    });
+    await recordAudit('reorder', collectionId, draggedId, before, after);
+}
 
-            // Upload new image with wing ID as file ID
-            const response = await storage.createFile(WING_IMAGES_BUCKET_ID, newId, imageFile);
-            imageFileId = response.$id;
-        }
+async function loadAuditLog() {
+    const container = document.getElementById('history-table');
+    const documentId = document.getElementById('history-document').value.trim();
+    const userEmail = document.getElementById('history-user').value.trim();
 
-        const data = {
-            manufacturerId,
-            model,
-            type,
-            sizes,
-            imageFileId
-        };
+    const queries = [Appwrite.Query.orderDesc('timestamp'), Appwrite.Query.limit(AUDIT_PAGE_SIZE)];
+    if (documentId) queries.push(Appwrite.Query.equal('documentId', documentId));
+    if (userEmail) queries.push(Appwrite.Query.equal('userEmail', userEmail));
 
-        if (year) {
-            data.year = year;
-        }
+    container.innerHTML = `<tr><td colspan="6" class="text-center text-muted py-4">${t('Chargement...')}</td></tr>`;
 
-        if (id) {
-            // Update
-            await databases.updateDocument(DATABASE_ID, WINGS_COLLECTION_ID, id, data);
-            showToast('Voile mise à jour', 'success');
-        } else {
-            // Create with custom ID
-            await databases.createDocument(DATABASE_ID, WINGS_COLLECTION_ID, newId, data);
-            showToast('Voile créée', 'success');
-        }
-        wingModal.hide();
-        await loadData();
+    try {
+        const response = await databases.listDocuments(DATABASE_ID, AUDIT_COLLECTION_ID, queries);
+        renderAuditLog(response.documents, response.total);
     } catch (error) {
-        showToast('Erreur: ' + error.message, 'danger');
-    } finally {
-        btn.classList.remove('loading');
-        btn.disabled = false;
+        container.innerHTML = '';
+        showToast(t('Erreur de chargement de l\'historique: {message}', { message: error.message }), 'danger');
     }
 }
 
-function confirmDeleteWing(id, name) {
-    document.getElementById('delete-item-name').textContent = name;
-    deleteCallback = async () => {
-        const wing = wings.find(w => w.$id === id);
+function renderAuditLog(entries, total) {
+    const container = document.getElementById('history-table');
+    document.getElementById('history-count').textContent = total > entries.length
+        ? t('{count} / {total} entrées', { count: entries.length, total })
+        : t('{count} entrées', { count: entries.length });
 
-        // Delete image if exists
-        if (wing && wing.imageFileId) {
-            try {
-                await storage.deleteFile(WING_IMAGES_BUCKET_ID, wing.imageFileId);
-            } catch (e) {
-                // Ignore if file doesn't exist
-            }
-        }
+    if (entries.length === 0) {
+        container.innerHTML = `<tr><td colspan="6" class="text-center text-muted py-4">${t('Aucune entrée')}</td></tr>`;
+        return;
+    }
 
-        await databases.deleteDocument(DATABASE_ID, WINGS_COLLECTION_ID, id);
-        showToast('Voile supprimée', 'success');
-        await loadData();
-    };
-    deleteModal.show();
+    container.innerHTML = entries.map(entry => {
+        const action = AUDIT_ACTION_LABELS[entry.action] || { label: entry.action, badge: 'bg-secondary' };
+        return `
+            <tr>
+                <td class="text-nowrap small">${escapeHtml(new Date(entry.timestamp).toLocaleString(getLocale()))}</td>
+                <td>
+                    <a href="#" data-action="history-filter-user" data-id="${escapeHtml(entry.userEmail)}">${escapeHtml(entry.userEmail || entry.userId)}</a>
+                </td>
+                <td><span class="badge ${action.badge}">${escapeHtml(t(action.label))}</span></td>
+                <td class="text-muted">${escapeHtml(t(AUDIT_COLLECTION_LABELS[entry.collectionId] || entry.collectionId))}</td>
+                <td>
+                    <a href="#" data-action="history-filter-document" data-id="${escapeHtml(entry.documentId)}"><code>${escapeHtml(entry.documentId)}</code></a>
+                </td>
+                <td class="small">${renderAuditChanges(entry)}</td>
+            </tr>
+        `;
+    }).join('');
 }
 
-async function handleDelete() {
-    const btn = document.getElementById('confirm-delete-btn');
-    btn.classList.add('loading');
-    btn.disabled = true;
+function renderAuditChanges(entry) {
+    const before = parseAuditValue(entry.before);
+    const after = parseAuditValue(entry.after);
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+        .filter(key => !isSameValue(before[key], after[key]));
+
+    return keys.map(key => `
+        <div><code>${escapeHtml(key)}</code>: ${escapeHtml(formatRestoreValue(before[key]))} → ${escapeHtml(formatRestoreValue(after[key]))}</div>
+    `).join('');
+}
 
+function parseAuditValue(value) {
+    if (!value) return {};
     try {
-        if (deleteCallback) {
-            await deleteCallback();
-        }
-        deleteModal.hide();
-    } catch (error) {
-        showToast('Erreur: ' + error.message, 'danger');
-    } finally {
-        btn.classList.remove('loading');
-        btn.disabled = false;
-        deleteCallback = null;
+        return JSON.parse(value);
+    } catch (e) {
+        return {};
+    }
+}
+
+function filterAuditLog(field, value) {
+    document.getElementById(field === 'user' ? 'history-user' : 'history-document').value = value || '';
+
+    // Switching tabs triggers the load through the shown.bs.tab listener
+    const tabButton = document.querySelector('[data-bs-target="#tab-history"]');
+    if (tabButton.classList.contains('active')) {
+        loadAuditLog();
+    } else {
+        tabButton.click();
     }
 }
 
+// Utilities
+function getWingImageUrl(fileId) {
+    if (!fileId) return '';
+    const version = imageVersions[fileId] ? `&v=${imageVersions[fileId]}` : '';
+    return `${APPWRITE_ENDPOINT}/storage/buckets/${WING_IMAGES_BUCKET_ID}/files/${encodeURIComponent(fileId)}/view?project=${APPWRITE_PROJECT_ID}${version}`;
+}
+
+// Document IDs are derived from names with the same slug rules everywhere
+function slugify(text) {
+    return text.toLowerCase().replace(/[^a-z0-9]/g, '-').replace(/-+/g, '-');
+}
+
+function downloadFile(filename, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 // Toast notifications
-function showToast(message, type = 'info') {
+// Optional action ({ label, handler }) adds a button, e.g. 'Annuler' within UNDO_WINDOW_MS;
+// its optional `expire` runs when the toast closes without the button being used
+function showToast(message, type = 'info', action = null) {
     const container = document.querySelector('.toast-container');
-    const id = 'toast-' + Date.now();
 
     const bgColor = {
         success: '#11998e',
@@ -838,19 +5838,41 @@ function showToast(message, type = 'info') {
 
     const textColor = type === 'warning' ? '#333' : 'white';
 
-    const html = `
-        <div id="${id}" class="toast align-items-center border-0" role="alert" style="background: ${bgColor}; color: ${textColor};">
-            <div class="d-flex">
-                <div class="toast-body">${message}</div>
-                <button type="button" class="btn-close btn-close-white me-2 m-auto" data-bs-dismiss="toast"></button>
-            </div>
+    const toastEl = document.createElement('div');
+    toastEl.className = 'toast align-items-center border-0';
+    toastEl.setAttribute('role', 'alert');
+    toastEl.style.background = bgColor;
+    toastEl.style.color = textColor;
+    toastEl.innerHTML = `
+        <div class="d-flex">
+            <div class="toast-body"></div>
+            <button type="button" class="btn-close btn-close-white me-2 m-auto" data-bs-dismiss="toast"></button>
         </div>
     `;
+    // Messages often embed server errors or catalogue names: never parse them as HTML
+    toastEl.querySelector('.toast-body').textContent = message;
+
+    container.appendChild(toastEl);
+    const toast = new bootstrap.Toast(toastEl, { delay: action ? UNDO_WINDOW_MS : 4000 });
+    let actionUsed = false;
+
+    if (action) {
+        const actionBtn = document.createElement('button');
+        actionBtn.type = 'button';
+        actionBtn.className = 'btn btn-sm btn-light my-auto';
+        actionBtn.textContent = action.label;
+        actionBtn.addEventListener('click', () => {
+            actionUsed = true;
+            toast.hide();
+            action.handler();
+        }, { once: true });
+        toastEl.querySelector('.toast-body').after(actionBtn);
+    }
 
-    container.insertAdjacentHTML('beforeend', html);
-    const toastEl = document.getElementById(id);
-    const toast = new bootstrap.Toast(toastEl, { delay: 4000 });
     toast.show();
 
-    toastEl.addEventListener('hidden.bs.toast', () => toastEl.remove());
+    toastEl.addEventListener('hidden.bs.toast', () => {
+        toastEl.remove();
+        if (action && action.expire && !actionUsed) action.expire();
+    });
 }
@@ -0,0 +1,551 @@
+// Interface translations. French is the source language: strings are written in French
+// in app.js and index.html and used as keys, like Localizable.xcstrings in the iOS app.
+const LANGUAGES = {
+    fr: { label: 'Français', locale: 'fr-FR' },
+    en: { label: 'English', locale: 'en-US' }
+};
+const SOURCE_LANGUAGE = 'fr';
+const LANGUAGE_STORAGE_KEY = 'adminLanguage';
+
+let currentLanguage = detectLanguage();
+let translatableNodes = null; // [{ node, attribute, text }] recorded from the static markup
+
+const TRANSLATIONS = {
+    en: {
+        // Roles & sign-in
+        'Lecteur': 'Viewer',
+        'Éditeur': 'Editor',
+        'Action non autorisée pour le rôle {role}': 'Action not allowed for the {role} role',
+        'Déjà connecté': 'Already signed in',
+        'Connexion réussie': 'Signed in',
+        'Déconnexion réussie': 'Signed out',
+        'Erreur de connexion: {message}': 'Sign-in error: {message}',
+        'Erreur de déconnexion: {message}': 'Sign-out error: {message}',
+        // Write queue
+        'connexion requise pour envoyer une image': 'a connection is required to upload an image',
+        'connexion requise pour supprimer une image': 'a connection is required to delete an image',
+        '{title}: {count} écriture(s) en échec': '{title}: {count} failed write(s)',
+        'Détails': 'Details',
+        '{count} en attente': '{count} pending',
+        'Aucun échec': 'No failures',
+        // Offline & sync
+        'hors ligne et aucune copie locale du catalogue': 'offline and no local copy of the catalogue',
+        'créé entre-temps sur le serveur': 'created on the server in the meantime',
+        'supprimé entre-temps sur le serveur': 'deleted on the server in the meantime',
+        'modifié sur le serveur le {date}': 'changed on the server on {date}',
+        'Synchronisation: {count} conflit(s) à résoudre': 'Sync: {count} conflict(s) to resolve',
+        'Synchronisation: {count} modification(s) refusée(s) par le serveur': 'Sync: {count} change(s) rejected by the server',
+        'Voir': 'View',
+        'Modifications hors ligne synchronisées': 'Offline changes synced',
+        'Création': 'Creation',
+        'Modification': 'Change',
+        'Suppression': 'Deletion',
+        'Synchronisé': 'Synced',
+        'Synchronisation...': 'Syncing...',
+        '{count} conflit(s)': '{count} conflict(s)',
+        '{count} en échec': '{count} failed',
+        'Hors ligne': 'Offline',
+        'Hors ligne, catalogue local du {date}.': 'Offline, local catalogue from {date}.',
+        'Hors ligne.': 'Offline.',
+        'En ligne.': 'Online.',
+        'Aucune modification en attente': 'No pending changes',
+        'Date': 'Date',
+        'Opération': 'Operation',
+        'Document': 'Document',
+        'État': 'Status',
+        'Conflit: {message}': 'Conflict: {message}',
+        'En attente': 'Pending',
+        'Garder la mienne': 'Keep mine',
+        'Garder le serveur': 'Keep the server\'s',
+        'Abandonner': 'Discard',
+        // Realtime
+        'Le stockage a changé, relancez l\'analyse': 'Storage changed, run the scan again',
+        'Cette voile vient d\'être supprimée par un autre administrateur.': 'This wing was just deleted by another administrator.',
+        'Cette voile vient d\'être modifiée par un autre administrateur. Enregistrer écrasera ses changements.': 'This wing was just changed by another administrator. Saving will overwrite their changes.',
+        // Publishing
+        'Nouveau': 'New',
+        'Modifié': 'Changed',
+        'Retiré': 'Removed',
+        'Marquer publié': 'Mark as published',
+        'En attente de publication': 'Waiting to be published',
+        '{name}: {count} voile(s) encore rattachée(s)': '{name}: {count} wing(s) still attached',
+        'Version {version} publiée le {date}': 'Version {version} published on {date}',
+        'Jamais publié': 'Never published',
+        '<strong>Publication bloquée</strong>, corrigez d\'abord:': '<strong>Publishing blocked</strong>, fix these first:',
+        'Aucune modification à publier': 'Nothing to publish',
+        'Catalogue incomplet: rechargez avant de publier': 'Incomplete catalogue: reload before publishing',
+        'Connexion requise pour publier': 'A connection is required to publish',
+        'Publication de {name}': 'Publishing {name}',
+        'Publication: {done} / {total} réussies. {failures}': 'Publishing: {done} / {total} succeeded. {failures}',
+        'Catalogue publié: version {version}': 'Catalogue published: version {version}',
+        'Version du catalogue': 'Catalogue version',
+        // Catalogue preview
+        '{count} fabricant(s)': '{count} manufacturer(s)',
+        '{count} voile(s)': '{count} wing(s)',
+        'L\'app ne lit que {count} voiles': 'The app only reads {count} wings',
+        'L\'app ne lit que {count} fabricants': 'The app only reads {count} manufacturers',
+        'Aucune voile': 'No wings',
+        'Catalogue vide': 'Empty catalogue',
+        // Loading
+        'Erreur de chargement: {message}': 'Loading error: {message}',
+        'Chargement du catalogue... {wings} voiles, {manufacturers} fabricants': 'Loading the catalogue... {wings} wings, {manufacturers} manufacturers',
+        '{loaded} / {total} fabricants': '{loaded} / {total} manufacturers',
+        '{loaded} / {total} voiles': '{loaded} / {total} wings',
+        'Chargement incomplet ({details}). Le réordonnancement est désactivé pour ne pas écrire un ordre erroné.': 'Incomplete load ({details}). Reordering is disabled so that no wrong order gets written.',
+        'Réessayer': 'Retry',
+        'Hors ligne: catalogue local du {date}.': 'Offline: local catalogue from {date}.',
+        'Les modifications sont enregistrées sur cet appareil et seront synchronisées au retour de la connexion.': 'Changes are saved on this device and will sync when the connection comes back.',
+        // Manufacturers
+        'Aucun fabricant': 'No manufacturers',
+        'Glisser pour réordonner': 'Drag to reorder',
+        'Modifier': 'Edit',
+        'Supprimer': 'Delete',
+        'Ajouter un fabricant': 'Add a manufacturer',
+        'Modifier le fabricant': 'Edit manufacturer',
+        'Fabricant invalide: {issues}': 'Invalid manufacturer: {issues}',
+        'Fabricant mis à jour': 'Manufacturer updated',
+        'Fabricant créé': 'Manufacturer created',
+        'Le fabricant {name} existe déjà ({id})': 'Manufacturer {name} already exists ({id})',
+        'Ouvrir': 'Open',
+        'Erreur: {message}': 'Error: {message}',
+        'Impossible de supprimer: {count} voiles sont liées à ce fabricant': 'Cannot delete: {count} wings belong to this manufacturer',
+        'Impossible de supprimer: {count} voiles de ce fabricant sont dans la corbeille': 'Cannot delete: {count} wings of this manufacturer are in the trash',
+        'Vous pourrez annuler pendant quelques secondes.': 'You can undo this for a few seconds.',
+        'Fabricant supprimé': 'Manufacturer deleted',
+        'Disparu': 'Defunct',
+        // Reordering
+        'Catalogue incomplet: rechargez avant de réordonner': 'Incomplete catalogue: reload before reordering',
+        'Ordre de {name}': 'Order of {name}',
+        'Ordre mis à jour': 'Order updated',
+        'Ordre des voiles mis à jour': 'Wing order updated',
+        'Annuler': 'Undo',
+        'Réordonnancement des fabricants': 'Manufacturer reorder',
+        'Réordonnancement des voiles': 'Wing reorder',
+        'Réinitialisez la recherche, les filtres et le tri pour réordonner': 'Reset the search, filters and sorting to reorder',
+        // Filters
+        'Non homologuée': 'Not certified',
+        // Wings
+        '{count} voiles': '{count} wings',
+        '{visible} / {count} voiles': '{visible} / {count} wings',
+        'Sélectionner': 'Select',
+        'Arrêtée': 'Discontinued',
+        'Dupliquer': 'Duplicate',
+        'Tous les fabricants': 'All manufacturers',
+        'Sélectionner...': 'Select...',
+        'Ajouter une voile': 'Add a wing',
+        'Modifier la voile': 'Edit wing',
+        'Dupliquer la voile': 'Duplicate wing',
+        ' (copie)': ' (copy)',
+        'Voile invalide: {issues}': 'Invalid wing: {issues}',
+        'La voile {id} existe déjà': 'Wing {id} already exists',
+        'La voile {id} existe déjà dans la corbeille': 'Wing {id} already exists in the trash',
+        'Voile mise à jour': 'Wing updated',
+        'Voile créée': 'Wing created',
+        'La voile sera placée dans la corbeille et pourra être restaurée.': 'The wing will be moved to the trash and can be restored.',
+        'Voile placée dans la corbeille': 'Wing moved to the trash',
+        // Concurrent edits
+        'le document a été supprimé entre-temps par un autre administrateur': 'the document was deleted in the meantime by another administrator',
+        'La fiche avait été modifiée entre-temps: vos changements ont été fusionnés': 'The record was changed in the meantime: your changes were merged',
+        'Modifié le {date}, après l\'ouverture du formulaire.': 'Changed on {date}, after the form was opened.',
+        'Avant': 'Before',
+        'Leur version': 'Their version',
+        'Ma version': 'My version',
+        'Garder': 'Keep',
+        'inchangé': 'unchanged',
+        // Image pipeline
+        '{size} (original, non traité)': '{size} (original, unprocessed)',
+        'Traitement de l\'image impossible ({name}): {message}': 'Could not process the image ({name}): {message}',
+        'Traitement de l\'image impossible: {message}': 'Could not process the image: {message}',
+        'format non supporté par le navigateur': 'format not supported by the browser',
+        '{size} o': '{size} B',
+        '{size} Ko': '{size} KB',
+        '{size} Mo': '{size} MB',
+        // Type migration
+        'Toutes les voiles ont des disciplines ou une homologation': 'Every wing has disciplines or a certification',
+        '{count} voile(s) n\'utilisent que l\'ancien champ type': '{count} wing(s) only use the old type field',
+        ', dont {count} avec un type inconnu: {types}': ', {count} of them with an unknown type: {types}',
+        '(vide)': '(empty)',
+        '{count} voile(s) sans type traduit pour l\'app': '{count} wing(s) without a translated type for the app',
+        '{count} voile(s) avec des homologations par taille à l\'ancien format (EN A)': '{count} wing(s) with per-size certifications in the old format (EN A)',
+        'Catalogue incomplet: rechargez avant de migrer': 'Incomplete catalogue: reload before migrating',
+        'Migration: {done} / {total} réussies. {failures}': 'Migration: {done} / {total} succeeded. {failures}',
+        'Migration terminée: {count} voile(s) convertie(s)': 'Migration done: {count} wing(s) converted',
+        'Tous les documents ont un état de publication': 'Every document has a publication state',
+        '{count} document(s) antérieur(s) aux brouillons, masqué(s) par l\'app tant qu\'ils ne sont pas marqués publiés': '{count} document(s) older than drafts, hidden by the app until marked published',
+        'Migration terminée: {count} document(s) marqué(s) publié(s)': 'Migration done: {count} document(s) marked published',
+        // Validation
+        'nom manquant': 'missing name',
+        'ordre d\'affichage invalide "{value}"': 'invalid display order "{value}"',
+        'modèle manquant': 'missing model',
+        'fabricant manquant': 'missing manufacturer',
+        'fabricant inexistant "{value}"': 'unknown manufacturer "{value}"',
+        'année invalide "{value}" ({min}–{max})': 'invalid year "{value}" ({min}–{max})',
+        'discipline ou homologation manquante': 'missing discipline or certification',
+        'discipline inconnue "{value}"': 'unknown discipline "{value}"',
+        'homologation inconnue "{value}"': 'unknown certification "{value}"',
+        'au moins une taille est requise': 'at least one size is required',
+        'taille {number}': 'size {number}',
+        'description {language} trop longue ({max} caractères max)': '{language} description too long ({max} characters max)',
+        'site web invalide "{value}" (http ou https)': 'invalid website "{value}" (http or https)',
+        'description trop longue ({max} caractères max)': 'description too long ({max} characters max)',
+        // Quality report
+        'Nom': 'Name',
+        'Ordre': 'Order',
+        'Modèle': 'Model',
+        'Fabricant': 'Manufacturer',
+        'Année': 'Year',
+        'Disciplines': 'Disciplines',
+        'Homologation': 'Certification',
+        'Tailles': 'Sizes',
+        'Caractéristiques': 'Specifications',
+        'ordre {order} partagé par {names}': 'order {order} shared by {names}',
+        'Fabricants': 'Manufacturers',
+        'Voiles {name}': '{name} wings',
+        'Voile': 'Wing',
+        'Corriger': 'Fix',
+        'Renuméroter': 'Renumber',
+        'Aucun problème détecté': 'No problems found',
+        'Ordre renuméroté': 'Order renumbered',
+        'Renumérotation': 'Renumbering',
+        'Description': 'Description',
+        'Site web': 'Website',
+        // Sizes
+        '{area} m² proj.': '{area} m² proj.',
+        'voile {weight} kg': 'glider {weight} kg',
+        'nom de taille manquant': 'missing size name',
+        'taille en double': 'duplicate size',
+        'valeur positive attendue': 'positive value expected',
+        'PTV max inférieur au PTV min': 'max weight below min weight',
+        'surface projetée supérieure à la surface à plat': 'projected area larger than flat area',
+        'poids de la voile supérieur au PTV min': 'glider weight above min weight',
+        // Gallery
+        'Retirer': 'Remove',
+        'Vue': 'View',
+        'Profil': 'Profile',
+        'Dessus': 'Top',
+        'Face': 'Front',
+        'Détail': 'Detail',
+        'Principale': 'Primary',
+        'Nouvelle': 'New',
+        'Coloris': 'Colourway',
+        'Image principale': 'Primary image',
+        // App preview
+        'Choisir la taille': 'Select size',
+        // Batch actions
+        'Changer le fabricant': 'Change manufacturer',
+        'Disciplines, homologation et année': 'Disciplines, certification and year',
+        'Ajouter une taille': 'Add a size',
+        'Retirer une taille': 'Remove a size',
+        'Marquer comme arrêtée': 'Mark as discontinued',
+        'Choisissez un fabricant': 'Choose a manufacturer',
+        'Aucune modification demandée': 'No change requested',
+        'aucune discipline ni homologation restante': 'no discipline or certification left',
+        'Indiquez une taille': 'Enter a size',
+        'dernière taille de la voile': 'the wing\'s last size',
+        '{count} sélectionnée(s)': '{count} selected',
+        'Aucune sélection': 'No selection',
+        'Ne pas modifier': 'Leave unchanged',
+        'placée dans la corbeille': 'moved to the trash',
+        'déjà à jour': 'already up to date',
+        '{action}: {done} / {total} réussies': '{action}: {done} / {total} succeeded',
+        'OK': 'OK',
+        'Inchangée': 'Unchanged',
+        'Échec': 'Failed',
+        // Import
+        'Inchangé': 'Unchanged',
+        'Invalide': 'Invalid',
+        'aucune ligne trouvée': 'no rows found',
+        'Fichier illisible: {message}': 'Unreadable file: {message}',
+        'colonnes manquantes: {columns}': 'missing columns: {columns}',
+        'un tableau de voiles est attendu': 'an array of wings is expected',
+        'type inconnu "{value}"': 'unknown type "{value}"',
+        'année invalide "{value}"': 'invalid year "{value}"',
+        'voile dans la corbeille, restaurez-la d\'abord': 'wing in the trash, restore it first',
+        'doublon dans le fichier': 'duplicate in the file',
+        'Fabricants à créer: {names}': 'Manufacturers to create: {names}',
+        'Ligne': 'Line',
+        'Statut': 'Status',
+        'Classification': 'Classification',
+        'Import terminé avec {count} erreur(s): {failures}': 'Import finished with {count} error(s): {failures}',
+        'Import terminé: {count} élément(s) enregistré(s)': 'Import finished: {count} item(s) saved',
+        // Export
+        'catalogue incomplet, rechargez avant d\'exporter': 'incomplete catalogue, reload before exporting',
+        'Export impossible: {message}': 'Export failed: {message}',
+        'Catalogue exporté ({count} voiles)': 'Catalogue exported ({count} wings)',
+        // Restore
+        'Créer': 'Create',
+        'Catalogue incomplet: rechargez avant de restaurer': 'Incomplete catalogue: reload before restoring',
+        'Snapshot invalide: {message}': 'Invalid snapshot: {message}',
+        'les tableaux manufacturers et wings sont requis': 'the manufacturers and wings arrays are required',
+        'fabricant #{number} sans id ou nom': 'manufacturer #{number} without id or name',
+        'voile #{number} sans id, fabricant ou modèle': 'wing #{number} without id, manufacturer or model',
+        'Tout prendre du snapshot': 'Take everything from the snapshot',
+        'Tout garder distant': 'Keep everything remote',
+        '{count} choix lié(s) ajusté(s) pour garder le catalogue cohérent': '{count} linked choice(s) adjusted to keep the catalogue consistent',
+        'Le catalogue est identique au snapshot': 'The catalogue matches the snapshot',
+        'Collection': 'Collection',
+        'Action': 'Action',
+        'Différences': 'Differences',
+        'Choix': 'Choice',
+        'Prendre le snapshot': 'Take the snapshot',
+        'Garder distant': 'Keep remote',
+        'Restauration interrompue après {done} / {total} opérations': 'Restore stopped after {done} / {total} operations',
+        'Catalogue restauré ({count} opérations)': 'Catalogue restored ({count} operations)',
+        'Échec sur <strong>{label}</strong> ({kind}): {message}': 'Failed on <strong>{label}</strong> ({kind}): {message}',
+        'Journal ({count} opérations appliquées)': 'Log ({count} operations applied)',
+        'Télécharger le journal': 'Download the log',
+        'Retour arrière incomplet: {failures}': 'Rollback incomplete: {failures}',
+        'Retour arrière effectué': 'Rollback done',
+        // Trash
+        'Cette action est irréversible.': 'This action cannot be undone.',
+        'Voile restaurée': 'Wing restored',
+        'Erreur lors de la restauration: {message}': 'Error while restoring: {message}',
+        'Cette voile est encore visible dans l\'app: publiez sa mise en corbeille avant de la supprimer définitivement': 'This wing is still visible in the app: publish its move to the trash before deleting it permanently',
+        'Voile supprimée définitivement': 'Wing permanently deleted',
+        'Suppression annulée': 'Deletion undone',
+        'Impossible d\'annuler: {message}': 'Could not undo: {message}',
+        'Ordre rétabli': 'Order restored',
+        'Annulation du réordonnancement': 'Reorder undo',
+        'La corbeille est vide': 'The trash is empty',
+        'Restaurer': 'Restore',
+        'Supprimer définitivement': 'Delete permanently',
+        // Image maintenance
+        'Catalogue incomplet: rechargez avant d\'analyser les images': 'Incomplete catalogue: reload before scanning the images',
+        'Erreur lors de l\'analyse: {message}': 'Error while scanning: {message}',
+        'Fichiers: {count}': 'Files: {count}',
+        'Orphelins: {count}': 'Orphans: {count}',
+        'Références mortes: {count}': 'Dead references: {count}',
+        'Sans image: {count}': 'Without image: {count}',
+        'Aucun fichier orphelin': 'No orphan files',
+        'Reliable': 'Relinkable',
+        'Corbeille': 'Trash',
+        'Aucune référence morte': 'No dead references',
+        'Toutes les voiles ont une image': 'Every wing has an image',
+        'Aucun élément sélectionné': 'No item selected',
+        '{label}: {done} / {total} réussis. {failures}': '{label}: {done} / {total} succeeded. {failures}',
+        '{label}: {count} élément(s) traité(s)': '{label}: {count} item(s) processed',
+        'Suppression des orphelins': 'Orphan deletion',
+        'Reliaison des images': 'Image relinking',
+        'Nettoyage des références': 'Reference cleanup',
+        // Duplicates
+        'Catalogue incomplet: rechargez avant de chercher les doublons': 'Incomplete catalogue: reload before looking for duplicates',
+        '{count} taille(s)': '{count} size(s)',
+        '{count} image(s)': '{count} image(s)',
+        'Aucun doublon probable': 'No likely duplicates',
+        'Garder {id}': 'Keep {id}',
+        'Garder A': 'Keep A',
+        'Garder B': 'Keep B',
+        'Ces documents ont changé depuis l\'analyse: relancez la recherche': 'These documents changed since the scan: run the search again',
+        'Ses voiles seront rattachées à {name} ({id}), puis le fabricant sera supprimé.': 'Its wings will be moved to {name} ({id}), then the manufacturer will be deleted.',
+        'Ses tailles et images seront ajoutées à {name} ({id}), puis la voile sera supprimée définitivement.': 'Its sizes and images will be added to {name} ({id}), then the wing will be permanently deleted.',
+        'Voile fusionnée dans {name}': 'Wing merged into {name}',
+        'Fusion interrompue: {count} voile(s) non rattachée(s), {name} est conservé': 'Merge stopped: {count} wing(s) not moved, {name} is kept',
+        '{name} fusionné dans {target} ({count} voile(s) rattachée(s))': '{name} merged into {target} ({count} wing(s) moved)',
+        // Audit log
+        'Réordonnancement': 'Reorder',
+        'Restauration': 'Restore',
+        'Publication': 'Publication',
+        'Image': 'Image',
+        'Catalogue': 'Catalogue',
+        'Historique non enregistré: {message}': 'History not recorded: {message}',
+        'Chargement...': 'Loading...',
+        'Erreur de chargement de l\'historique: {message}': 'Error loading the history: {message}',
+        '{count} / {total} entrées': '{count} / {total} entries',
+        '{count} entrées': '{count} entries',
+        'Aucune entrée': 'No entries',
+        // Static markup (index.html)
+        'ParaFlightLog - Admin Catalogue Voiles': 'ParaFlightLog - Wing Catalogue Admin',
+        'Gestion du catalogue de voiles': 'Wing catalogue management',
+        'Mot de passe': 'Password',
+        'Se connecter': 'Sign in',
+        'Écritures en cours': 'Writes in progress',
+        'État de la synchronisation': 'Sync status',
+        'Écritures en échec': 'Failed writes',
+        'Voiles': 'Wings',
+        'Images': 'Images',
+        'Qualité': 'Quality',
+        'Historique': 'History',
+        'Catalogue tel que l\'app le charge': 'Catalogue as the app loads it',
+        'Aperçu app': 'App preview',
+        'Publier': 'Publish',
+        'Catalogue des voiles': 'Wing catalogue',
+        'Importer un fichier CSV ou JSON': 'Import a CSV or JSON file',
+        'Importer': 'Import',
+        'Exporter le catalogue': 'Export the catalogue',
+        'Exporter': 'Export',
+        'Snapshot JSON publié (WingCatalog)': 'Published JSON snapshot (WingCatalog)',
+        'Tableur CSV (brouillons inclus)': 'CSV spreadsheet (drafts included)',
+        'Restaurer un snapshot...': 'Restore a snapshot...',
+        'Rechercher un modèle, un fabricant...': 'Search a model, a manufacturer...',
+        'Toutes les disciplines': 'All disciplines',
+        'Toutes les homologations': 'All certifications',
+        'Année min': 'Min year',
+        'Année max': 'Max year',
+        'Avec ou sans image': 'With or without image',
+        'Avec image': 'With image',
+        'Sans image': 'Without image',
+        'Taille': 'Size',
+        'Réinitialiser': 'Reset',
+        'Tout sélectionner': 'Select all',
+        'Disciplines / année': 'Disciplines / year',
+        'Désélectionner': 'Deselect',
+        'Actions': 'Actions',
+        'Liste des fabricants': 'Manufacturer list',
+        'Ajouter': 'Add',
+        'Voiles supprimées': 'Deleted wings',
+        'Masquées dans l\'application, restaurables avec leur image': 'Hidden in the app, restorable with their image',
+        'Supprimée le': 'Deleted on',
+        'Images du stockage': 'Storage images',
+        'Analyser': 'Scan',
+        'Disciplines et homologation': 'Disciplines and certification',
+        'Convertit l\'ancien champ type en disciplines et classe d\'homologation': 'Converts the old type field into disciplines and a certification class',
+        'État de publication': 'Publication state',
+        'Marque publiés les fabricants et voiles créés avant les brouillons, que l\'app filtre sur published': 'Marks manufacturers and wings created before drafts as published, since the app filters on published',
+        'Migrer': 'Migrate',
+        'Doublons probables': 'Likely duplicates',
+        'Fabricants et voiles aux noms proches (« Rush 6 » / « Rush-6 », « Gin » / « GIN Gliders »)': 'Manufacturers and wings with similar names (“Rush 6” / “Rush-6”, “Gin” / “GIN Gliders”)',
+        'Rechercher': 'Search',
+        'Type': 'Type',
+        'Similarité': 'Similarity',
+        'Fusionner': 'Merge',
+        'Lancez une recherche': 'Run a search',
+        'Fichiers orphelins': 'Orphan files',
+        'Fichiers des buckets wing-images et manufacturer-logos référencés par aucune voile ni aucun fabricant': 'Files of the wing-images and manufacturer-logos buckets referenced by no wing or manufacturer',
+        'Aperçu': 'Preview',
+        'Fichier': 'File',
+        'Créé le': 'Created on',
+        'Lancez une analyse': 'Run a scan',
+        'Références mortes': 'Dead references',
+        'Voiles dont l\'imageFileId pointe vers un fichier absent': 'Wings whose imageFileId points to a missing file',
+        'Relier': 'Relink',
+        'Effacer la référence': 'Clear the reference',
+        'Référence': 'Reference',
+        'Fichier correspondant': 'Matching file',
+        'Voiles sans image': 'Wings without image',
+        'Un fichier portant l\'ID de la voile peut être relié': 'A file named after the wing ID can be relinked',
+        'Qualité du catalogue': 'Catalogue quality',
+        'Règles de validation appliquées aux voiles et fabricants chargés (corbeille exclue)': 'Validation rules applied to the loaded wings and manufacturers (trash excluded)',
+        'Problèmes': 'Problems',
+        'Historique des modifications': 'Change history',
+        'ID du document': 'Document ID',
+        'Email de l\'utilisateur': 'User email',
+        'Filtrer': 'Filter',
+        'Utilisateur': 'User',
+        'Changements': 'Changes',
+        'Ordre d\'affichage': 'Display order',
+        'Enregistrer': 'Save',
+        'Recharger': 'Reload',
+        'Optionnel': 'Optional',
+        'Modèle arrêté (plus produit)': 'Discontinued model (no longer made)',
+        'PNG recommandé avec transparence. La première image est l\'image principale.': 'PNG with transparency recommended. The first image is the primary image.',
+        'Traiter l\'image avant l\'envoi': 'Process the image before upload',
+        'Largeur cible (px)': 'Target width (px)',
+        'Hauteur cible (px)': 'Target height (px)',
+        'Ajuster (marges)': 'Fit (margins)',
+        'Recadrer au format': 'Crop to size',
+        'Fond conservé': 'Keep background',
+        'Supprimer le fond uni': 'Remove plain background',
+        'Aplatir sur blanc': 'Flatten on white',
+        'Aperçu (image principale)': 'Preview (primary image)',
+        'Aucune image': 'No image',
+        'Surface à plat (m²)': 'Flat area (m²)',
+        'Surface projetée (m²)': 'Projected area (m²)',
+        'PTV min (kg)': 'Min weight (kg)',
+        'PTV max (kg)': 'Max weight (kg)',
+        'Poids voile (kg)': 'Glider weight (kg)',
+        'Aperçu dans l\'app': 'Preview in the app',
+        'Clair': 'Light',
+        'Sombre': 'Dark',
+        'Bibliothèque (iPhone)': 'Library (iPhone)',
+        'Choix de la taille (iPhone)': 'Size selection (iPhone)',
+        'Montre': 'Watch',
+        'Importer des voiles': 'Import wings',
+        'Fichier CSV ou JSON': 'CSV or JSON file',
+        'Colonnes: manufacturer, model, type, year, sizes (tailles séparées par des virgules ou des |)': 'Columns: manufacturer, model, type, year, sizes (sizes separated by commas or |)',
+        'Appliquer': 'Apply',
+        'Restaurer un snapshot du catalogue': 'Restore a catalogue snapshot',
+        'Snapshot JSON': 'JSON snapshot',
+        'Fichier produit par Exporter > Snapshot JSON': 'File produced by Export > JSON snapshot',
+        'Fermer': 'Close',
+        'Revenir en arrière': 'Roll back',
+        'Modification groupée': 'Batch edit',
+        'Nouveau fabricant': 'New manufacturer',
+        'Arrêtée (plus produite)': 'Discontinued (no longer made)',
+        'En production': 'In production',
+        'Les voiles seront placées dans la corbeille. Leurs images sont supprimées lors de la suppression définitive.': 'The wings will be moved to the trash. Their images are deleted when they are permanently deleted.',
+        'Ces écritures ont échoué après plusieurs tentatives et n\'ont pas été enregistrées.': 'These writes failed after several attempts and were not saved.',
+        'Effacer la liste': 'Clear the list',
+        'Modifications hors ligne': 'Offline changes',
+        'Synchroniser': 'Sync',
+        'Publier le catalogue': 'Publish the catalogue',
+        'Ces modifications deviendront visibles dans l\'app, qui rechargera le catalogue à la prochaine ouverture de la bibliothèque.': 'These changes will become visible in the app, which reloads the catalogue the next time the library is opened.',
+        'Aperçu du catalogue dans l\'app': 'Catalogue preview in the app',
+        'Publié': 'Published',
+        'Après publication': 'After publishing',
+        'Modifié par un autre administrateur': 'Changed by another administrator',
+        'Retour au formulaire': 'Back to the form',
+        'Écraser avec ma version': 'Overwrite with my version',
+        'Confirmer la suppression': 'Confirm deletion',
+        'Êtes-vous sûr de vouloir supprimer': 'Are you sure you want to delete',
+        'Langue': 'Language',
+        'Logo': 'Logo',
+        'Converti en PNG 256×256 avec transparence.': 'Converted to a 256×256 PNG with transparency.',
+        'Retirer le logo': 'Remove the logo',
+        'Pays': 'Country',
+        'Fabricant disparu (n\'existe plus)': 'Defunct manufacturer (no longer exists)'
+    }
+};
+
+function detectLanguage() {
+    const saved = localStorage.getItem(LANGUAGE_STORAGE_KEY);
+    if (LANGUAGES[saved]) return saved;
+    const browser = (navigator.language || '').slice(0, 2);
+    return LANGUAGES[browser] ? browser : SOURCE_LANGUAGE;
+}
+
+// Missing translations fall back to the French text; {name} placeholders are filled from params
+function t(text, params = {}) {
+    const translated = (TRANSLATIONS[currentLanguage] || {})[text] || text;
+    return translated.replace(/\{(\w+)\}/g, (match, key) => key in params ? String(params[key]) : match);
+}
+
+function getLocale() {
+    return LANGUAGES[currentLanguage].locale;
+}
+
+// Static text nodes and attributes are matched against the dictionary once, in French,
+// so index.html needs no extra markup. Rendered content goes through t() instead.
+function applyTranslations() {
+    if (!translatableNodes) translatableNodes = collectTranslatableNodes();
+    document.documentElement.lang = currentLanguage;
+
+    translatableNodes.forEach(({ node, attribute, text }) => {
+        const translated = t(text);
+        if (attribute) {
+            node.setAttribute(attribute, translated);
+        } else {
+            // Keep the surrounding whitespace so inline spacing doesn't change
+            node.nodeValue = node.nodeValue.replace(/^(\s*)[\s\S]*?(\s*)$/, (match, before, after) => before + translated + after);
+        }
+    });
+}
+
+function collectTranslatableNodes() {
+    const keys = TRANSLATIONS.en;
+    const nodes = [];
+    const walker = document.createTreeWalker(document.documentElement, NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) {
+        const node = walker.currentNode;
+        if (['SCRIPT', 'STYLE'].includes(node.parentNode.nodeName)) continue;
+        const text = node.nodeValue.replace(/\s+/g, ' ').trim();
+        if (keys[text]) nodes.push({ node, attribute: null, text });
+    }
+
+    document.querySelectorAll('[title], [placeholder], [aria-label], [alt]').forEach(element => {
+        ['title', 'placeholder', 'aria-label', 'alt'].forEach(attribute => {
+            const text = (element.getAttribute(attribute) || '').trim();
+            if (keys[text]) nodes.push({ node: element, attribute, text });
+        });
+    });
+    return nodes;
+}
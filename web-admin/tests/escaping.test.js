@@ -0,0 +1,186 @@
+// Hostile catalogue values must render as text: run with `node --test web-admin/tests/`
+// i18n.js and app.js are loaded as the browser does (classic scripts sharing one global scope)
+// against a minimal DOM stub; rendered markup is then tokenized and inspected.
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const HOSTILE_VALUES = ['"><img src=x onerror=alert(1)>', 'O\'Brien"', '<script>alert(1)</script>', '${alert(1)}'];
+const KNOWN_TAGS = new Set(['div', 'span', 'strong', 'small', 'code', 'i', 'img', 'input', 'button', 'label', 'a', 'td', 'tr', 'option', 'li', 'ul']);
+
+function createElement() {
+    const children = {};
+    return {
+        value: '',
+        textContent: '',
+        innerHTML: '',
+        checked: false,
+        style: {},
+        dataset: {},
+        attributes: {},
+        classList: { add() {}, remove() {}, toggle() {}, contains: () => false },
+        addEventListener() {},
+        appendChild() {},
+        after() {},
+        remove() {},
+        setAttribute(name, value) { this.attributes[name] = value; },
+        querySelector(selector) { return children[selector] || (children[selector] = createElement()); },
+        querySelectorAll: () => []
+    };
+}
+
+function loadAdmin() {
+    const elements = {};
+    const documentListeners = {};
+    const context = {
+        console, URL, URLSearchParams, setTimeout, clearTimeout,
+        Appwrite: {
+            Client: class { setEndpoint() { return this; } setProject() { return this; } subscribe() { return () => {}; } },
+            Account: class {}, Databases: class {}, Storage: class {}, Teams: class {},
+            Query: {}, ID: { unique: () => 'unique' }
+        },
+        bootstrap: { Modal: class { show() {} hide() {} }, Toast: class { show() {} hide() {} } },
+        document: {
+            documentElement: {},
+            addEventListener(type, listener) { documentListeners[type] = listener; },
+            getElementById: id => elements[id] || (elements[id] = createElement()),
+            querySelector: selector => elements[selector] || (elements[selector] = createElement()),
+            querySelectorAll: () => [],
+            createElement: () => createElement()
+        },
+        window: { addEventListener() {}, location: { search: '', href: 'http://localhost/' }, history: { replaceState() {}, pushState() {} } },
+        localStorage: { getItem: () => null, setItem() {}, removeItem() {} },
+        navigator: { language: 'fr-FR', onLine: true }
+    };
+    vm.createContext(context);
+    for (const file of ['i18n.js', 'app.js']) {
+        vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), context, { filename: file });
+    }
+    return { context, elements, documentListeners, run: code => vm.runInContext(code, context) };
+}
+
+function decodeEntities(text) {
+    return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, '\'')
+        .replace(/&amp;/g, '&');
+}
+
+// Escaped values contain no raw < > " ', so a regex tokenizer sees exactly the template's tags
+function parseTags(html) {
+    const tags = [];
+    for (const [, name, rest] of html.matchAll(/<([a-zA-Z][\w-]*)([^>]*)>/g)) {
+        const attributes = {};
+        const leftover = rest.replace(/([^\s=]+)(?:\s*=\s*"([^"]*)")?/g, (match, attribute, value) => {
+            attributes[attribute] = value === undefined ? '' : decodeEntities(value);
+            return '';
+        });
+        tags.push({ name: name.toLowerCase(), attributes, leftover: leftover.trim() });
+    }
+    return tags;
+}
+
+function assertNoInjection(html) {
+    for (const tag of parseTags(html)) {
+        assert.ok(KNOWN_TAGS.has(tag.name), `unexpected <${tag.name}> in ${html}`);
+        assert.strictEqual(tag.leftover, '', `unparsed attribute text "${tag.leftover}"`);
+        for (const attribute of Object.keys(tag.attributes)) {
+            assert.match(attribute, /^[a-z][a-z0-9-]*$/, `malformed attribute "${attribute}"`);
+            assert.ok(!attribute.startsWith('on'), `event handler attribute "${attribute}"`);
+        }
+        if (tag.name === 'img') assert.notStrictEqual(tag.attributes.src, 'x', 'injected image');
+    }
+}
+
+function actionTargets(html, action) {
+    return parseTags(html)
+        .filter(tag => tag.attributes['data-action'] === action)
+        .map(tag => tag.attributes['data-id']);
+}
+
+// Replays a click on the delegated listener, the way the browser resolves closest('[data-action]')
+function click(admin, action, id) {
+    const target = { type: 'button', dataset: { action, id }, closest: () => target };
+    admin.documentListeners.click({ target, preventDefault() {} });
+}
+
+for (const hostile of HOSTILE_VALUES) {
+    test(`manufacturer list and selects escape ${hostile}`, () => {
+        const admin = loadAdmin();
+        admin.context.hostile = hostile;
+        admin.run(`
+            currentRole = 'admin';
+            manufacturers = [{ $id: hostile, name: hostile, displayOrder: 0, country: hostile, website: hostile, description: hostile }];
+            wings = [];
+            setupDelegatedEvents();
+            renderManufacturers();
+            updateManufacturerSelects();
+            renderManufacturerFilter();
+        `);
+
+        const list = admin.elements['manufacturers-container'].innerHTML;
+        assertNoInjection(list);
+        assertNoInjection(admin.elements['filter-manufacturer'].innerHTML);
+        assertNoInjection(admin.elements['wing-manufacturer'].innerHTML);
+        assertNoInjection(admin.elements['filter-manufacturer-menu'].innerHTML);
+        assert.deepStrictEqual(parseTags(admin.elements['wing-manufacturer'].innerHTML).map(tag => tag.attributes.value), ['', hostile]);
+
+        for (const action of ['edit-manufacturer', 'delete-manufacturer']) {
+            assert.deepStrictEqual(actionTargets(list, action), [hostile]);
+        }
+        assert.deepStrictEqual(actionTargets(admin.elements['filter-manufacturer-menu'].innerHTML, 'filter-manufacturer'), ['', hostile]);
+
+        const edited = [];
+        admin.context.editManufacturer = id => edited.push(id);
+        click(admin, 'edit-manufacturer', actionTargets(list, 'edit-manufacturer')[0]);
+        assert.deepStrictEqual(edited, [hostile]);
+    });
+
+    test(`wing cards and table escape ${hostile}`, () => {
+        const admin = loadAdmin();
+        admin.context.hostile = hostile;
+        admin.run(`
+            currentRole = 'admin';
+            manufacturers = [{ $id: 'm', name: hostile, displayOrder: 0 }];
+            wings = [{ $id: hostile, manufacturerId: 'm', model: hostile, type: hostile, disciplines: [], certification: null, sizes: [hostile], displayOrder: 0 }];
+            setupDelegatedEvents();
+            viewMode = 'cards';
+            renderWings();
+            viewMode = 'list';
+            renderWings();
+        `);
+
+        const cards = admin.elements['wings-cards'].innerHTML;
+        const table = admin.elements['wings-table'].innerHTML;
+        assert.ok(cards.length > 0 && table.length > 0, 'both views rendered');
+        for (const html of [cards, table]) {
+            assertNoInjection(html);
+            for (const action of ['edit-wing', 'duplicate-wing', 'delete-wing', 'toggle-wing-selection']) {
+                assert.deepStrictEqual(actionTargets(html, action), [hostile], `${action} id`);
+            }
+        }
+
+        const handled = [];
+        admin.context.editWing = id => handled.push(['edit', id]);
+        admin.context.confirmDeleteWing = id => handled.push(['delete', id]);
+        click(admin, 'edit-wing', actionTargets(cards, 'edit-wing')[0]);
+        click(admin, 'delete-wing', actionTargets(table, 'delete-wing')[0]);
+        assert.deepStrictEqual(handled, [['edit', hostile], ['delete', hostile]]);
+    });
+
+    test(`toasts show ${hostile} as text`, () => {
+        const admin = loadAdmin();
+        const toast = createElement();
+        admin.context.document.createElement = () => toast;
+        admin.context.message = `Erreur: ${hostile}`;
+        admin.run(`showToast(message, 'danger', { label: message, handler() {} })`);
+
+        assert.ok(!toast.innerHTML.includes(hostile), 'message kept out of innerHTML');
+        assertNoInjection(toast.innerHTML);
+        assert.strictEqual(toast.querySelector('.toast-body').textContent, `Erreur: ${hostile}`);
+    });
+}